@@ -1,10 +1,41 @@
 /*
 HomeyScript: Battery control with tags (SE3)
 Regler (2025-09):
+- Strategi: kostnadsoptimal DP över hela pris-horisonten (idag+imorgon), eller klassisk percentil
 - SoC min/max: 10% / 90% (hårda)
 - Sälj: topp 10% dyraste timmar → export OK
 - Nästa 30% dyraste timmar → endast last-shaving (ingen export)
-- Solar-first, plan för idag (+ imorgon efter kl 13)
+- Solar-first; en rullande plan från nu till slutet av kända priser (imorgon efter kl 13), omräknad varje körning
+  från uppmätt SoC – realtidsbeslutet följer planens slot, justerat för aktuell PV/last
+- Tariff: energiskatt, moms, tidsdifferentierad nätavgift och skattereduktion (tak = årets import)
+- Effektkurvor (valfritt): laddeffekt som avtar mot full SoC (CC/CV), urladdning som avtar mot tom, och verkningsgrad
+  per effektnivå – används i planens SoC-integrering, DP-övergångar, fördelning och realtidsgränserna
+- Slitagekostnad (kr/kWh eller kr/cykel med DoD-kurva) i alla laddbeslut; cykler/genomströmning sparas
+- Hysteres: förra beslutet sparas; dödband på PV/last, minsta tid per läge, små effektändringar ignoreras
+- Flera batterier: planering på summan, börvärdet fördelas per enhet (SoC-balans eller verkningsgrad), taggar per enhet
+- Flexibla laster (elbil, värmepump, varmvatten): energibehov före deadline i billigaste slottar (PV-överskott först),
+  ingår i batteriplanens last; batteriet täcker dem i dyra slottar; start/stopp och effekt per last som taggar
+- Negativa priser: nätladdning vid negativt köp, ingen export vid negativt sälj (pv_curtail_recommended), ledigt utrymme före
+- Effektavgift (valfritt): följer månadens topptimmar, begränsar nätladdning och kapar import över toppen
+- Överstyrning (global/tagg battery_override eller argument override=…): tvingat läge under en period, backup-reserv
+  som aldrig laddas ur, "minst X% senast T"; upphör av sig själv och visas i battery_reason
+- Huvudsäkring (valfritt, per fas): last + laddning under märkström − marginal, urladdning vid överlast; planen ser utrymmet
+- Lastprognos per veckodag+timme från tidigare körningar (dimensionerar shave/mid i planen)
+- Solar-reserve: SoC-tak per slot från PV-prognos (forecast.solar/fil), annars fast morgonfönster
+- Prisslottar kan vara 15 eller 60 min (längd härleds från time_start/time_end)
+- All kalenderlogik i marknadens tidszon (timeZone, Europe/Stockholm) – rätt även på 23/25-timmarsdygn och UTC-värdar
+- Priser från elprisetjustnu / Nord Pool / ENTSO-E / Tibber med failover i konfigurerad ordning
+- Priser cachas mellan körningar; vid avbrott degraderat läge (price_source / price_stale)
+- Konfig: JSON (Homey global / tagg / argument config=…) över standardvärden, validerad; profile=… för flera hem
+- Indatakontroll: obalans, orimliga värden, saknad SoC och SoC-hopp (mot skattning från battery_flow_W) → fail-safe
+- Backtest: `node battery.js --prices … --flows …` spelar upp historik utan HomeyScript/nätverk
+- Tester: `node --test test/*.test.js` (Nodes inbyggda testkörare, inga beroenden)
+- Utgångstest: `node battery.js --output-test charge:1500 --config …` skickar ett börvärde via adaptrarna
+- Historik: varje körnings indata, pris, beslut, skäl, SoC-tak och planslot i en rullande lagring; fråga med
+  history=last:N | YYYY-MM-DD (argument eller --history); gårdagen stäms av mot planen (plan_day_soc_mae_percent)
+- Ekonomi: förväntad import/export, kostnad mot referens utan batteri och säljintäkt per planslot och dag;
+  realiserad besparing i dag och hittills i månaden från uppmätta flöden
+- Utgångar: adaptrar i output.adapters – taggar (standard), MQTT (JSON per ämne), Modbus TCP (SunSpec-modell 124 med återläsning)
 - Endast tags (inga logic-variabler). Alla taggar skrivs med String/Number-objekt.
 
 Indata (args eller "A;B;C;D;E"):
@@ -14,74 +45,377 @@ Indata (args eller "A;B;C;D;E"):
   - local_flow_W   >= 0 (last)
   - battery_flow_W <0 laddning, >0 urladdning
   - battery_soc    % (0..100) eller 0..1
+  Flera batterier (config batteries[]): ett battery_flow_W;battery_soc-par per enhet, i konfigurationens ordning
+  Valfria namngivna argument efter flödena: profile=<namn>; config={…JSON…}
+  Historikfråga (ingen styrning): history=last:20 | history=2026-10-18 | history=today | history=yesterday
+  Flexibla laster (config flexibleLoads[]): flex_<id>_W=<uppmätt effekt>; flex_<id>_kWh=<behov till deadline>
+  local_flow_W antas innehålla de flexibla lasterna
+  Överstyrning: override={…JSON…} eller [{…}, …] (format, se overrides i konfig)
+  Huvudsäkring (config mainFuse): L1_A=…; L2_A=…; L3_A=… (fasström, + import / − export), annars jämn fördelning
 */
 
 // =================== KONFIG ===================
-const REGION = "SE3";
-const import_extra = 0.86; // kr/kWh (köp-påslag)
-const export_extra = 0.60; // kr/kWh (sälj-påslag)
-
-// Batteri
-const batteryCapacity_kWh   = 15;
-const HARD_MIN_SOC         = 0.10;
-const HARD_MAX_SOC         = 0.90;
-const maxChargePower_kW    = 4.0;
-const maxDischargePower_kW = 4.0;
-const roundTripEff         = 0.92;
-const chargeEff            = Math.sqrt(roundTripEff);
-const dischargeEff         = Math.sqrt(roundTripEff);
-
-// Pris-klasser
-const cheapPercent       = 0.30; // billigaste 30% → ladda
-const expensiveTop10Pct  = 0.10; // dyraste 10% → sälj (export OK)
-const expensiveNext30Pct = 0.30; // nästa 30% dyraste → endast last-shaving
-
-// Beteende
-const allowGridChargeWhenCheap          = true; // tillåten import i cheap
-const allowGridChargeToMeetTomorrowGoal = true; // ladda mot mål till midnatt om lönsamt
-const pvNoiseFloor_kW = 0.01;
-
-// Håll morgonbuffert för solenergi (används främst mars–sept)
-const solarReserve = {
-  enabled: true,
-  maxMorningSoC: 0.75,     // 75% → lämna ~25% ledigt för PV
-  startHour: 0,            // gäller från midnatt …
-  releaseHour: 11,         // … till kl 11 (exklusive)
-  monthsActive: [3,4,5,6,7,8,9], // mars–sept (1=jan)
-  skipExpensiveHours: true // hoppa över timmar som är klassade som dyra
+// Standardvärden. Effektiv konfig = DEFAULT_CONFIG ← Homey global "battery_config" ← "battery_config_<profil>"
+//   ← tagg "battery_config" ← argument "config={…}" (djup sammanslagning, listor ersätts helt).
+// Nycklarna heter som variablerna nedan; allt valideras mot CONFIG_SCHEMA före körning.
+// Argument "profile=<namn>" ger egen konfig, egen lagring och taggar med suffix "_<namn>" (flera hem/batterier).
+const DEFAULT_CONFIG = {
+  REGION: "SE3",
+  timeZone: "Europe/Stockholm", // marknadens tidszon: dygn, timmar, veckodagar (oberoende av värdens tidszon)
+  import_extra: 0.86, // kr/kWh (köp-påslag, tariff.model "flat")
+  export_extra: 0.60, // kr/kWh (sälj-påslag, tariff.model "flat")
+
+  // Elpris per slot (SEK/kWh). "swedish": komponenter exkl. moms, vat anger om moms läggs på komponenten.
+  tariff: {
+    model: "swedish",        // "swedish" | "flat" (spot + import_extra / export_extra)
+    vatRate: 0.25,
+    buy: {
+      spot:           { vat: true },
+      supplierMarkup: { SEK: 0.05, vat: true },  // elhandelns påslag
+      energyTax:      { SEK: 0.36, vat: true },  // energiskatt (2026)
+      gridTransfer:   { vat: true },             // överföringsavgift, tidsdifferentierad nedan
+    },
+    gridTransfer: {
+      default_SEK: 0.25,
+      // Första matchande period gäller. months 1=jan, weekdays 1=mån … 7=sön (0=sön går också), toHour exklusive.
+      periods: [
+        { months: [11,12,1,2,3], weekdays: [1,2,3,4,5], fromHour: 6, toHour: 22, SEK: 0.60 }, // höglast vinter
+      ],
+    },
+    sell: {                  // privatperson: ingen moms på såld el
+      spot:        { vat: false },
+      gridBenefit: { SEK: 0.05, vat: false },    // nätnytta
+      supplierFee: { SEK: -0.02, vat: false },   // elhandelns avdrag
+    },
+    // Skattereduktion för mikroproducent: per exporterad kWh, max lika många kWh som årets import (och max 30 000 kWh)
+    taxCredit: {
+      SEK: 0.60,
+      maxYear_kWh: 30000,
+      yearImportStart_kWh: 0, // import/export före första körningen i år (från fakturor)
+      yearExportStart_kWh: 0,
+    },
+  },
+
+  // Prisleverantörer i failover-ordning (nästa provas om en svarar fel eller tomt)
+  priceProviders: ["elprisetjustnu", "nordpool", "entsoe", "tibber"],
+  providerConfig: {
+    elprisetjustnu: { baseUrl: "https://www.elprisetjustnu.se/api/v1/prices" },
+    nordpool: { baseUrl: "https://dataportal-api.nordpoolgroup.com/api/DayAheadPrices", currency: "SEK" },
+    entsoe:   { baseUrl: "https://web-api.tp.entsoe.eu/api", securityToken: "" }, // priser i EUR/MWh
+    tibber:   { baseUrl: "https://api.tibber.com/v1-beta/gql", token: "" },       // hemspecifika priser, REGION ignoreras
+  },
+  // Priscache + offline-läge: hämtade dygn sparas och återanvänds; vid avbrott planeras från cache/syntes
+  priceCache: {
+    keepDays: 8,             // antal dygn som sparas
+    synthesizeFromCache: true, // saknas dagens priser → återanvänd senaste cachade dygnets prisprofil
+    flatSpot_SEK: 1.0,       // sista utväg: platt spotpris (ingen arbitrage, bara egenförbrukning)
+  },
+  // Lagring: Homey global (HomeyScript) eller JSON-fil när skriptet körs utanför Homey
+  storageFile: "./battery-state.json",
+
+  // Valutaomräkning för EUR-baserade flöden (fast kurs, ev. hämtad från fxUrl i frankfurter-format)
+  currency: {
+    eurToSek: 11.5,
+    fxUrl: "", // t.ex. "https://api.frankfurter.app/latest?from=EUR&to=SEK"
+  },
+
+  // Batteri
+  batteryCapacity_kWh:  15,
+  HARD_MIN_SOC:         0.10,
+  HARD_MAX_SOC:         0.90,
+  maxChargePower_kW:    4.0,
+  maxDischargePower_kW: 4.0,
+  roundTripEff:         0.92,
+
+  // Effekt- och verkningsgradskurvor, linjärt mellan punkterna (tom lista = konstant maxeffekt resp. √roundTripEff).
+  // LFP tar emot allt lägre effekt över ~85% SoC (CC/CV) och tappar verkningsgrad vid låg effekt.
+  // Gäller planering (SoC-integrering per delsteg, fördelning) och realtidsgränser; med flera batterier per enhet.
+  batteryCurves: {
+    chargePower:         [], // [SoC, andel av maxChargePower_kW], t.ex. [[0.85, 1.0], [0.95, 0.4], [1.0, 0.1]]
+    dischargePower:      [], // [SoC, andel av maxDischargePower_kW], t.ex. [[0.05, 0.3], [0.15, 1.0]]
+    chargeEfficiency:    [], // [andel av maxeffekt, verkningsgrad en väg], t.ex. [[0.05, 0.85], [0.3, 0.96], [1.0, 0.95]]
+    dischargeEfficiency: [], // samma format; värdet vid full effekt ersätter √roundTripEff i grova lönsamhetskontroller
+  },
+
+  // Flera batterier/växelriktare (tom lista = ett batteri enligt värdena ovan). Planeringen använder summan,
+  // börvärdet fördelas per enhet. Saknade fält ärvs från värdena ovan. Indata: ett flöde+SoC-par per enhet.
+  //   t.ex. [{ id: "garage", capacity_kWh: 10, maxCharge_kW: 5 }, { id: "hus", capacity_kWh: 5, roundTripEff: 0.88 }]
+  batteries: [],
+  batterySplit: "soc_balance", // "soc_balance" (jämna ut SoC) | "efficiency" (effektivaste enheten först)
+
+  // Slitagekostnad per kWh urladdat ur batteriet (läggs på varje laddning/urladdning och lönsamhetskoll)
+  //   "throughput" → fast kr/kWh
+  //   "cycle"      → kr per ekvivalent full cykel / kapacitet × multiplikator från urladdningsdjup (DoD)
+  degradation: {
+    model: "throughput",     // "throughput" | "cycle" | "none"
+    cost_SEK_per_kWh: 0.25,
+    cost_SEK_per_cycle: 4.0,
+    dodCurve: [[0.2, 0.6], [0.5, 0.8], [0.8, 1.0], [1.0, 1.4]], // [DoD, multiplikator], linjärt mellan punkterna
+  },
+
+  // Strategi för laddplan
+  //   "optimizer"  → minsta kostnad via dynamisk programmering över diskretiserad SoC
+  //   "percentile" → klassisk klassning (billigaste 30% / dyraste 10% / nästa 30%)
+  dispatchStrategy: "optimizer",
+  optimizer: {
+    socStep: 0.005,        // SoC-upplösning i DP (0.5%)
+  },
+
+  // Lastprognos från historik (local_flow_W/producing_W sparas varje körning)
+  // Modell: viktat medel per veckodag+timme, äldre prov tappar vikt med halveringstid.
+  loadForecast: {
+    enabled: true,
+    halfLife_days: 14,     // recency-viktning
+    minWeight: 3,          // minsta (viktade) antal prov i veckodag+timme innan den används
+    fallback_kW: 0.5,      // antagen husförbrukning utan historik
+  },
+
+  // Pris-klasser (percentil-strategin, samt solar-reserve)
+  cheapPercent:       0.30, // billigaste 30% → ladda
+  expensiveTop10Pct:  0.10, // dyraste 10% → sälj (export OK)
+  expensiveNext30Pct: 0.30, // nästa 30% dyraste → endast last-shaving
+
+  // Beteende
+  allowGridChargeWhenCheap: true, // tillåten import i cheap
+  pvNoiseFloor_kW: 0.01,
+
+  // Indatakontroll: orimliga/saknade värden, obalans och SoC-hopp → fail-safe (tagg battery_input_fault)
+  inputValidation: {
+    enabled: true,
+    balanceTolerance_kW: 0.2,  // PV + import + urladdning ska matcha last + export + laddning
+    maxPv_kW: 30,              // rimlighetsgränser per flöde (belopp)
+    maxGrid_kW: 50,
+    maxLoad_kW: 50,
+    maxBattery_kW: 15,
+    maxSocJump: 0.10,          // uppmätt SoC får avvika så här mycket från skattningen via battery_flow_W
+    maxEstimate_h: 2,          // saknas SoC skattas den från battery_flow_W högst så här länge
+    faultMode: "self_consumption", // "self_consumption" (PV laddar, last täcks, ingen nätladdning/export) | "idle"
+  },
+
+  // Hysteres mellan körningar (förra beslutet sparas): undviker att läget fladdrar när PV/last ligger runt trösklarna.
+  // Byte av prisklass/planslot och SoC-gränser slår igenom direkt.
+  hysteresis: {
+    enabled: true,
+    pvDeadband_kW: 0.2,      // solar-first startar först över pvNoiseFloor + detta, släpper vid pvNoiseFloor
+    loadDeadband_kW: 0.1,    // last-shaving startar först när lastgapet når detta
+    minDwell_min: { charge: 10, discharge: 10, idle: 5 }, // minsta tid i ett läge innan byte
+    minPowerChange_kW: 0.15, // mindre ändring av börvärdet ignoreras
+  },
+
+  // Håll buffert för solenergi. Med PV-prognos: tak per slot = utrymme som behövs för förväntat överskott.
+  // Utan prognos: fast morgonfönster (används främst mars–sept).
+  solarReserve: {
+    enabled: true,
+    useForecast: true,       // styr taket från PV-prognos (solarForecast) när den finns (last från lastprognosen)
+    forecastMargin: 1.1,     // +10% osäkerhetsmarginal på förväntat överskott
+    maxMorningSoC: 0.75,     // fast fönster: 75% → lämna ~25% ledigt för PV
+    startHour: 0,            // gäller från midnatt …
+    releaseHour: 11,         // … till kl 11 (exklusive)
+    monthsActive: [3,4,5,6,7,8,9], // mars–sept (1=jan)
+    skipExpensiveHours: true // hoppa över timmar som är klassade som dyra
+  },
+
+  // PV-prognos per timme
+  solarForecast: {
+    source: "none",          // "forecast.solar" | "file" | "global" | "none"
+    url: "https://api.forecast.solar/estimate/watthours/period/59.33/18.06/35/0/8", // lat/lon/lutning/azimut/kWp
+    file: "./pv-forecast.json",  // [{ start, end?, pv_kW | pv_W }]
+    globalKey: "pv_forecast_json", // samma format, i Homey global
+    refreshMinutes: 60,      // forecast.solar har hård rate-limit → återanvänd sparad prognos
+  },
+
+  // Negativa priser: nätladdning när köppriset är negativt, ingen export när säljpriset är negativt
+  negativePrice: {
+    enabled: true,
+    gridChargeBelowBuy_SEK: 0,  // ladda från nätet (till hårt tak) när köppriset är under detta
+    minExportSell_SEK: 0,       // ingen export under detta säljpris → pv_curtail_recommended
+    headroom: true,             // planen håller ledigt utrymme inför sådana fönster (PV-prognos / full laddeffekt)
+  },
+
+  // Flexibla laster (elbilsladdare, värmepump, varmvattenberedare): energibehov före en daglig deadline.
+  // Schemaläggs i billigaste slottar (PV-överskott först) och ingår sedan i batteriplanens last.
+  // Ex: { id: "elbil", energy_kWh: 20, deadline: "07:00", minPower_kW: 1.4, maxPower_kW: 11 }
+  flexibleLoads: [],
+
+  // Manuell överstyrning: JSON i Homey global / tagg "battery_override" (med profil "_<namn>") eller argument override={…},
+  // ett objekt eller en lista. Tider: ISO eller lokal "HH:MM" (låses när överstyrningen först ses).
+  //   { type: "force", mode: "discharge", power_kW: 3, from: "17:00", until: "19:00" } → tvingat läge under perioden
+  //   { type: "reserve", soc: 0.6, until: "08:00" } → backup-reserv: ingen urladdning under, laddar upp till den
+  //   { type: "target", soc: 0.8, by: "07:00" }     → minst 80% senast 07:00
+  overrides: {
+    enabled: true,
+    maxDuration_h: 48,       // överstyrning utan slut (eller längre) upphör efter så här lång tid
+  },
+
+  // Effektavgift: snitt av månadens N högsta timmedel (import) inom avgiftsfönstret
+  peakTariff: {
+    enabled: false,
+    fee_SEK_per_kW: 60,      // kr/kW/månad på snittet av topp N
+    topN: 3,
+    onePerDay: true,         // högst en topp per dygn räknas (vanligt hos nätbolagen)
+    months: [1,2,3,4,5,6,7,8,9,10,11,12],
+    weekdays: [1,2,3,4,5],   // 0=sön
+    fromHour: 7,             // avgiftsfönster (lokal tid) …
+    toHour: 20,              // … till (exklusive)
+    initialLimit_kW: 3.0,    // gräns innan månaden har N toppar
+    margin_kW: 0.2,          // håll timmedel så här långt under nuvarande topp
+    reserveSoC: 0.25,        // prisstyrd urladdning går inte under denna SoC under avgiftsdygn (buffert för topp-kapning)
+  },
+
+  // Huvudsäkring: nätladdning begränsas så att last + laddning håller sig under märkströmmen (med marginal),
+  // och batteriet laddar ur när lasten ensam närmar sig den. Fasströmmar per argument L1_A/L2_A/L3_A (valfritt).
+  mainFuse: {
+    enabled: false,
+    rating_A: 16,            // märkström per fas
+    phases: 3,               // 1 | 3
+    voltage_V: 230,          // fasspänning
+    margin_A: 1.5,           // håll fasströmmen så här långt under märkströmmen
+    batteryPhases: 3,        // växelriktaren: 3 = symmetrisk över alla faser, 1 = enfas på batteryPhase
+    batteryPhase: 1,         // fas (1–3) för enfasig växelriktare
+  },
+
+  // Beslutshistorik: varje körning (indata, pris, beslut, skäl, SoC-tak, planslot) sparas i en rullande lagring.
+  // Fråga med argument history=last:20 | history=2026-10-18 | history=yesterday (tagg battery_history_json),
+  // eller node battery.js --history …. Gårdagen stäms av mot planen vid första körningen efter midnatt.
+  history: {
+    enabled: true,
+    maxEntries: 1440,        // poster per dygn (en körning per minut); äldsta posterna i dygnet tas bort först
+    keepDays: 3,             // dygn som sparas; varje körning skriver bara dagens dygn (avstämningen sparas 31 dygn)
+  },
+
+  // Utgångar: beslutet skickas via adaptrarna i ordning. "tags" = HomeyScript-taggar (som tidigare);
+  // "mqtt" och "modbus" kräver Node (net) – t.ex. när skriptet körs som tjänst, inte i HomeyScript.
+  output: {
+    adapters: ["tags"],      // "tags" | "mqtt" | "modbus"
+    mqtt: {
+      host: "127.0.0.1",
+      port: 1883,
+      clientId: "battery-controller",
+      username: "",
+      password: "",
+      retain: true,
+      topics: { setpoint: "battery/setpoint", state: "battery/state", plan: "battery/plan" }, // "" = publiceras inte
+      timeout_ms: 3000,
+    },
+    modbus: {
+      host: "127.0.0.1",
+      port: 502,
+      unitId: 1,
+      modelStart: 40343,     // 0-baserad adress till ID-registret i SunSpec-modell 124 (Storage), se växelriktarens karta
+      revert_s: 900,         // InOutWRte_RvrtTms: växelriktaren återgår själv om styrningen tystnar
+      verify: true,          // läs tillbaka skrivna register
+      timeout_ms: 3000,
+    },
+  },
+
+  // “Mid”/buffert
+  priceMidBias: 1.0,  // 1.0 => tröskel = dagens snittpris (mid-golvet = HARD_MIN_SOC)
 };
 
-// “Mid”/buffert
-const midDischargeFloorSoC = HARD_MIN_SOC; // gå inte under hård min i mid
-const priceMidBias         = 1.0;          // 1.0 => tröskel = dagens snittpris
+// Effektiva värden (sätts av applyConfig)
+let REGION, timeZone, import_extra, export_extra, tariff, priceProviders, providerConfig, priceCache, storageFile, currency;
+let batteryCapacity_kWh, HARD_MIN_SOC, HARD_MAX_SOC, maxChargePower_kW, maxDischargePower_kW, roundTripEff;
+let batteryCurves, batteries, batterySplit, fleet, degradation, chargeEff, dischargeEff;
+let dispatchStrategy, optimizer, loadForecast, cheapPercent, expensiveTop10Pct, expensiveNext30Pct;
+let allowGridChargeWhenCheap, pvNoiseFloor_kW, hysteresis, inputValidation;
+let solarReserve, solarForecast, negativePrice, flexibleLoads, overrides, peakTariff, mainFuse, history, output, priceMidBias, midDischargeFloorSoC;
+let appliedConfig; // senast tillämpade konfig (simulate återställer den efteråt)
+applyConfig(DEFAULT_CONFIG); // standardvärden tills runController laddat effektiv konfig
 
 // =================== HJÄLP ===================
+// Klocka – ersätts vid backtest (simulate) så att hela logiken kan köras mot historik
+let clock = () => new Date();
+function nowDate() { return new Date(clock()); }
+
+// --- Tidszon ---
+// All kalenderlogik (dygn, timme, veckodag, månad) görs i marknadens tidszon (timeZone), aldrig värdens.
+// Sommartid: dygnet har 23 eller 25 timmar; dygnsgränser räknas fram, aldrig som +24 h.
+const tzFormatters = new Map();
+function tzFormatter(tz) {
+  if (!tzFormatters.has(tz)) {
+    tzFormatters.set(tz, new Intl.DateTimeFormat("en-US", {
+      timeZone: tz, hourCycle: "h23", weekday: "short",
+      year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric",
+    }));
+  }
+  return tzFormatters.get(tz);
+}
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+// { year, month (1–12), day, hour, minute, second, weekday (0=sön) } i marknadens tidszon
+function zonedParts(date, tz = timeZone) {
+  const out = {};
+  for (const { type, value } of tzFormatter(tz).formatToParts(new Date(date))) {
+    if (type === "weekday") out.weekday = WEEKDAYS[value];
+    else if (type !== "literal") out[type] = Number(value);
+  }
+  return out;
+}
+// Tidszonens avstånd till UTC (ms) vid given tidpunkt
+function tzOffsetMs(date, tz = timeZone) {
+  const t = new Date(date).getTime();
+  const p = zonedParts(t, tz);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(t / 1000) * 1000;
+}
+// Lokal väggklocka → tidpunkt. Saknad timme (vår) hamnar efter hoppet, dubblerad timme (höst) på den första.
+function zonedTime(year, month, day, hour = 0, minute = 0, tz = timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offBefore = tzOffsetMs(wall - 12 * 3600000, tz);
+  const offAfter = tzOffsetMs(wall + 12 * 3600000, tz);
+  const valid = [wall - offBefore, wall - offAfter].filter(t => tzOffsetMs(t, tz) === wall - t);
+  return new Date(valid.length ? Math.min(...valid) : wall - offBefore);
+}
+// Lokal midnatt för dygnet som innehåller `date`, förskjutet addDays dygn
+function zonedDayStart(date, addDays = 0, tz = timeZone) {
+  const p = zonedParts(date, tz);
+  return zonedTime(p.year, p.month, p.day + addDays, 0, 0, tz);
+}
+// Början på den lokala timmen (klarar även tidszoner med halvtimmesförskjutning)
+function zonedHourStartMs(date, tz = timeZone) {
+  const t = new Date(date).getTime();
+  const local = t + tzOffsetMs(t, tz);
+  return t - (((local % 3600000) + 3600000) % 3600000);
+}
+
 function round2(x){ return Math.round(x * 100) / 100; }
 function round3(x){ return Math.round(x * 1000) / 1000; }
 function clamp01(x){ return Math.min(1, Math.max(0, x)); }
+
+// Slotlängd i timmar (0.25 för 15-min, 1 för timpris). Faller tillbaka på 1h om tider saknas.
+function slotHours(slot) {
+  if (!slot) return 1;
+  if (Number.isFinite(slot.duration_h) && slot.duration_h > 0) return slot.duration_h;
+  const s = new Date(slot.start).getTime();
+  const e = new Date(slot.end).getTime();
+  if (!Number.isFinite(s) || !Number.isFinite(e) || e <= s) return 1;
+  return (e - s) / 3600000;
+}
+
+// SoC-tak per prisslot: start(ms) → { endMs, cap }
 const socCapOverrides = new Map();
 
-function hourKey(date) {
-  if (!date) return null;
-  const dt = new Date(date);
-  if (Number.isNaN(dt.getTime())) return null;
-  dt.setMinutes(0, 0, 0);
-  return dt.toISOString();
+function slotBounds(slot) {
+  if (!slot || !slot.start) return null;
+  const startMs = new Date(slot.start).getTime();
+  if (!Number.isFinite(startMs)) return null;
+  return { startMs, endMs: startMs + slotHours(slot) * 3600000 };
 }
 
-function setSocCapOverride(date, cap) {
-  const key = hourKey(date);
-  if (!key) return;
+function setSocCapOverride(slot, cap) {
+  const b = slotBounds(slot);
+  if (!b) return;
   const limited = Math.min(HARD_MAX_SOC, Math.max(HARD_MIN_SOC, clamp01(cap)));
-  if (!socCapOverrides.has(key)) socCapOverrides.set(key, limited);
-  else socCapOverrides.set(key, Math.min(socCapOverrides.get(key), limited));
+  const prev = socCapOverrides.get(b.startMs);
+  socCapOverrides.set(b.startMs, { endMs: b.endMs, cap: prev ? Math.min(prev.cap, limited) : limited });
 }
 
-function capSoCForHour(date){
-  const key = hourKey(date);
-  if (!key) return HARD_MAX_SOC;
-  const override = socCapOverrides.get(key);
-  return (override != null) ? override : HARD_MAX_SOC;
+// Överstyrd reserv/mål höjer taket (användarens krav går före solar-reserve)
+function capSoCAt(date){
+  const t = new Date(date).getTime();
+  if (!Number.isFinite(t)) return HARD_MAX_SOC;
+  for (const [startMs, o] of socCapOverrides) {
+    if (t >= startMs && t < o.endMs) return Math.max(o.cap, overrideSocAt(t));
+  }
+  return HARD_MAX_SOC;
 } // hårt tak 90%
 
 function normalizeMode(m) {
@@ -90,17 +424,476 @@ function normalizeMode(m) {
   return 'idle';
 }
 
-// Skriv taggar med wrapper-objekt (fix för vissa Flow-körningar)
+// Skriv taggar med wrapper-objekt (fix för vissa Flow-körningar). tagSink ersätter HomeyScripts tag() utanför Homey.
+// Med profil får alla taggar suffixet "_<profil>".
+let tagSink = null;
+let tagSuffix = "";
 function setTagString(name, value) {
-  try { tag(name, new String(String(value ?? ""))); }
+  try { (tagSink || tag)(name + tagSuffix, new String(String(value ?? ""))); }
   catch(e) { console.error(`❌ tag '${name}' (String)`, String(e)); }
 }
 function setTagNumber(name, value) {
   const num = Number.isFinite(value) ? Number(value) : 0;
-  try { tag(name, new Number(num)); }
+  try { (tagSink || tag)(name + tagSuffix, new Number(num)); }
   catch(e) { console.error(`❌ tag '${name}' (Number)`, String(e)); }
 }
 
+// =================== LAGRING ===================
+// Homey: global.get/set (värden sparas som JSON-strängar). Utanför Homey: en JSON-fil med alla nycklar.
+// stateOverride (objekt i minnet) används vid backtest så att riktig lagring inte påverkas.
+// stateNamespace (profil) ger varje hem/batteri egna nycklar.
+let stateOverride = null;
+let stateNamespace = "";
+function scopedKey(key) { return stateNamespace ? `${key}:${stateNamespace}` : key; }
+function homeyGlobalAvailable() {
+  return typeof global !== "undefined" && global && typeof global.get === "function" && typeof global.set === "function";
+}
+function readStateFile() {
+  try {
+    const fs = require("fs");
+    if (!fs.existsSync(storageFile)) return {};
+    return JSON.parse(fs.readFileSync(storageFile, "utf8")) || {};
+  } catch (_) { return {}; }
+}
+function loadState(key, fallback) {
+  key = scopedKey(key);
+  try {
+    if (stateOverride) return (key in stateOverride) ? JSON.parse(stateOverride[key]) : fallback;
+    if (homeyGlobalAvailable()) {
+      const raw = global.get(key);
+      if (raw == null || raw === "") return fallback;
+      return (typeof raw === "string") ? JSON.parse(raw) : raw;
+    }
+    if (typeof require === "function") {
+      const all = readStateFile();
+      return (key in all) ? all[key] : fallback;
+    }
+  } catch (e) { console.error(`❌ loadState '${key}'`, String(e)); }
+  return fallback;
+}
+function saveState(key, value) {
+  key = scopedKey(key);
+  try {
+    if (stateOverride) { stateOverride[key] = JSON.stringify(value); return; }
+    if (homeyGlobalAvailable()) { global.set(key, JSON.stringify(value)); return; }
+    if (typeof require === "function") {
+      const all = readStateFile();
+      all[key] = value;
+      require("fs").writeFileSync(storageFile, JSON.stringify(all));
+    }
+  } catch (e) { console.error(`❌ saveState '${key}'`, String(e)); }
+}
+
+// =================== TARIFF ===================
+// Årsräkning för skattereduktionen: mätt import/export integreras mellan körningar
+const ENERGY_LEDGER_KEY = "battery_energy_ledger";
+const ledgerMaxGap_h = 0.5; // längre uppehåll mellan körningar räknas inte (okänd effekt)
+
+function loadEnergyLedger(now = nowDate()) {
+  const year = zonedParts(now).year;
+  const led = loadState(ENERGY_LEDGER_KEY, null);
+  if (!led || led.year !== year) return { year, import_kWh: 0, export_kWh: 0, lastTs: null };
+  return led;
+}
+
+function recordEnergyLedger(flows_kW, now = nowDate()) {
+  const led = loadEnergyLedger(now);
+  const t = new Date(now).getTime();
+  if (led.lastTs != null) {
+    const dt_h = Math.min(ledgerMaxGap_h, Math.max(0, (t - led.lastTs) / 3600000));
+    led.import_kWh = round3(led.import_kWh + (flows_kW.gridImport_kW || 0) * dt_h);
+    led.export_kWh = round3(led.export_kWh + (flows_kW.gridExport_kW || 0) * dt_h);
+  }
+  led.lastTs = t;
+  saveState(ENERGY_LEDGER_KEY, led);
+  return led;
+}
+
+function taxCreditRemaining_kWh(led = loadEnergyLedger()) {
+  const tc = tariff.taxCredit;
+  const yearImport = led.import_kWh + (tc.yearImportStart_kWh || 0);
+  const yearExport = led.export_kWh + (tc.yearExportStart_kWh || 0);
+  return Math.max(0, Math.min(tc.maxYear_kWh, yearImport) - yearExport);
+}
+
+function gridTransferFee_SEK(date) {
+  const { month, weekday: wd, hour } = zonedParts(date);
+  for (const p of tariff.gridTransfer.periods || []) {
+    if (Array.isArray(p.months) && !p.months.includes(month)) continue;
+    if (Array.isArray(p.weekdays) && !p.weekdays.includes(wd) && !(wd === 0 && p.weekdays.includes(7))) continue;
+    if (hour < (p.fromHour ?? 0) || hour >= (p.toHour ?? 24)) continue;
+    return p.SEK;
+  }
+  return tariff.gridTransfer.default_SEK;
+}
+
+function sumComponents(components, spot_SEK, start) {
+  let total = 0;
+  for (const [name, c] of Object.entries(components || {})) {
+    let v;
+    if (name === "spot") v = spot_SEK;
+    else if (name === "gridTransfer") v = gridTransferFee_SEK(start);
+    else v = Number(c.SEK) || 0;
+    total += c.vat ? v * (1 + tariff.vatRate) : v;
+  }
+  return total;
+}
+
+// Köp- och säljpris för en slot. creditAvailable: om skattereduktionen fortfarande gäller för export.
+function slotPrices(spot_SEK, start, creditAvailable) {
+  if (tariff.model !== "swedish") {
+    return { buy_SEK: spot_SEK + import_extra, sell_SEK: spot_SEK + export_extra };
+  }
+  const buy_SEK = sumComponents(tariff.buy, spot_SEK, start);
+  const sell_SEK = sumComponents(tariff.sell, spot_SEK, start) + (creditAvailable ? tariff.taxCredit.SEK : 0);
+  return { buy_SEK, sell_SEK };
+}
+
+// =================== KONFIGURATION ===================
+// Schema: sökväg → { type, min, max, enum, items }. "open" = fria nycklar (t.ex. egna tariffkomponenter).
+const CONFIG_SCHEMA = {
+  REGION:                 { type: "string", enum: ["SE1", "SE2", "SE3", "SE4"] },
+  timeZone:               { type: "string" },
+  import_extra:           { type: "number" },
+  export_extra:           { type: "number" },
+  "tariff.model":         { type: "string", enum: ["swedish", "flat"] },
+  "tariff.vatRate":       { type: "number", min: 0, max: 1 },
+  "tariff.buy":           { type: "object", open: true },
+  "tariff.sell":          { type: "object", open: true },
+  "tariff.gridTransfer.default_SEK": { type: "number" },
+  "tariff.gridTransfer.periods":     { type: "array", items: { type: "object" } },
+  "tariff.taxCredit.SEK":            { type: "number", min: 0 },
+  "tariff.taxCredit.maxYear_kWh":    { type: "number", min: 0 },
+  "tariff.taxCredit.yearImportStart_kWh": { type: "number", min: 0 },
+  "tariff.taxCredit.yearExportStart_kWh": { type: "number", min: 0 },
+  priceProviders:         { type: "array", items: { type: "string", enum: ["elprisetjustnu", "nordpool", "entsoe", "tibber"] } },
+  providerConfig:         { type: "object", open: true },
+  "priceCache.keepDays":  { type: "integer", min: 1 },
+  "priceCache.synthesizeFromCache": { type: "boolean" },
+  "priceCache.flatSpot_SEK": { type: "number" },
+  storageFile:            { type: "string" },
+  "currency.eurToSek":    { type: "number", min: 0.01 },
+  "currency.fxUrl":       { type: "string" },
+  batteryCapacity_kWh:    { type: "number", min: 0.1 },
+  HARD_MIN_SOC:           { type: "number", min: 0, max: 1 },
+  HARD_MAX_SOC:           { type: "number", min: 0, max: 1 },
+  maxChargePower_kW:      { type: "number", min: 0 },
+  maxDischargePower_kW:   { type: "number", min: 0 },
+  roundTripEff:           { type: "number", min: 0.5, max: 1 },
+  "batteryCurves.chargePower":         { type: "array", items: { type: "array" } },
+  "batteryCurves.dischargePower":      { type: "array", items: { type: "array" } },
+  "batteryCurves.chargeEfficiency":    { type: "array", items: { type: "array" } },
+  "batteryCurves.dischargeEfficiency": { type: "array", items: { type: "array" } },
+  batteries:              { type: "array", items: { type: "object" } },
+  batterySplit:           { type: "string", enum: ["soc_balance", "efficiency"] },
+  "degradation.model":    { type: "string", enum: ["throughput", "cycle", "none"] },
+  "degradation.cost_SEK_per_kWh":   { type: "number", min: 0 },
+  "degradation.cost_SEK_per_cycle": { type: "number", min: 0 },
+  "degradation.dodCurve": { type: "array", items: { type: "array" } },
+  dispatchStrategy:       { type: "string", enum: ["optimizer", "percentile"] },
+  "optimizer.socStep":    { type: "number", min: 0.001, max: 0.1 },
+  "loadForecast.enabled": { type: "boolean" },
+  "loadForecast.halfLife_days": { type: "number", min: 0.1 },
+  "loadForecast.minWeight":     { type: "number", min: 0 },
+  "loadForecast.fallback_kW":   { type: "number", min: 0 },
+  cheapPercent:           { type: "number", min: 0, max: 1 },
+  expensiveTop10Pct:      { type: "number", min: 0, max: 1 },
+  expensiveNext30Pct:     { type: "number", min: 0, max: 1 },
+  allowGridChargeWhenCheap: { type: "boolean" },
+  pvNoiseFloor_kW:        { type: "number", min: 0 },
+  "inputValidation.enabled":             { type: "boolean" },
+  "inputValidation.balanceTolerance_kW": { type: "number", min: 0 },
+  "inputValidation.maxPv_kW":            { type: "number", min: 0 },
+  "inputValidation.maxGrid_kW":          { type: "number", min: 0 },
+  "inputValidation.maxLoad_kW":          { type: "number", min: 0 },
+  "inputValidation.maxBattery_kW":       { type: "number", min: 0 },
+  "inputValidation.maxSocJump":          { type: "number", min: 0, max: 1 },
+  "inputValidation.maxEstimate_h":       { type: "number", min: 0 },
+  "inputValidation.faultMode":           { type: "string", enum: ["self_consumption", "idle"] },
+  "hysteresis.enabled":           { type: "boolean" },
+  "hysteresis.pvDeadband_kW":     { type: "number", min: 0 },
+  "hysteresis.loadDeadband_kW":   { type: "number", min: 0 },
+  "hysteresis.minDwell_min.charge":    { type: "number", min: 0 },
+  "hysteresis.minDwell_min.discharge": { type: "number", min: 0 },
+  "hysteresis.minDwell_min.idle":      { type: "number", min: 0 },
+  "hysteresis.minPowerChange_kW": { type: "number", min: 0 },
+  "solarReserve.enabled":        { type: "boolean" },
+  "solarReserve.useForecast":    { type: "boolean" },
+  "solarReserve.forecastMargin": { type: "number", min: 0 },
+  "solarReserve.maxMorningSoC":  { type: "number", min: 0, max: 1 },
+  "solarReserve.startHour":      { type: "integer", min: 0, max: 23 },
+  "solarReserve.releaseHour":    { type: "integer", min: 0, max: 24 },
+  "solarReserve.monthsActive":   { type: "array", items: { type: "integer", min: 1, max: 12 } },
+  "solarReserve.skipExpensiveHours": { type: "boolean" },
+  "solarForecast.source":        { type: "string", enum: ["forecast.solar", "file", "global", "none"] },
+  "solarForecast.url":           { type: "string" },
+  "solarForecast.file":          { type: "string" },
+  "solarForecast.globalKey":     { type: "string" },
+  "solarForecast.refreshMinutes": { type: "number", min: 1 },
+  "negativePrice.enabled":                { type: "boolean" },
+  "negativePrice.gridChargeBelowBuy_SEK": { type: "number" },
+  "negativePrice.minExportSell_SEK":      { type: "number" },
+  "negativePrice.headroom":               { type: "boolean" },
+  flexibleLoads:          { type: "array", items: { type: "object" } },
+  "overrides.enabled":           { type: "boolean" },
+  "overrides.maxDuration_h":     { type: "number", min: 0.25 },
+  "peakTariff.enabled":          { type: "boolean" },
+  "peakTariff.fee_SEK_per_kW":   { type: "number", min: 0 },
+  "peakTariff.topN":             { type: "integer", min: 1 },
+  "peakTariff.onePerDay":        { type: "boolean" },
+  "peakTariff.months":           { type: "array", items: { type: "integer", min: 1, max: 12 } },
+  "peakTariff.weekdays":         { type: "array", items: { type: "integer", min: 0, max: 6 } },
+  "peakTariff.fromHour":         { type: "integer", min: 0, max: 23 },
+  "peakTariff.toHour":           { type: "integer", min: 1, max: 24 },
+  "peakTariff.initialLimit_kW":  { type: "number", min: 0 },
+  "peakTariff.margin_kW":        { type: "number", min: 0 },
+  "peakTariff.reserveSoC":       { type: "number", min: 0, max: 1 },
+  "mainFuse.enabled":            { type: "boolean" },
+  "mainFuse.rating_A":           { type: "number", min: 1 },
+  "mainFuse.phases":             { type: "integer", enum: [1, 3] },
+  "mainFuse.voltage_V":          { type: "number", min: 100, max: 400 },
+  "mainFuse.margin_A":           { type: "number", min: 0 },
+  "mainFuse.batteryPhases":      { type: "integer", enum: [1, 3] },
+  "mainFuse.batteryPhase":       { type: "integer", min: 1, max: 3 },
+  "history.enabled":             { type: "boolean" },
+  "history.maxEntries":          { type: "integer", min: 10 },
+  "history.keepDays":            { type: "number", min: 1 },
+  "output.adapters":             { type: "array", items: { type: "string", enum: ["tags", "mqtt", "modbus"] } },
+  "output.mqtt.host":            { type: "string" },
+  "output.mqtt.port":            { type: "integer", min: 1, max: 65535 },
+  "output.mqtt.clientId":        { type: "string" },
+  "output.mqtt.username":        { type: "string" },
+  "output.mqtt.password":        { type: "string" },
+  "output.mqtt.retain":          { type: "boolean" },
+  "output.mqtt.topics.setpoint": { type: "string" },
+  "output.mqtt.topics.state":    { type: "string" },
+  "output.mqtt.topics.plan":     { type: "string" },
+  "output.mqtt.timeout_ms":      { type: "integer", min: 100 },
+  "output.modbus.host":          { type: "string" },
+  "output.modbus.port":          { type: "integer", min: 1, max: 65535 },
+  "output.modbus.unitId":        { type: "integer", min: 0, max: 255 },
+  "output.modbus.modelStart":    { type: "integer", min: 0, max: 65509 },
+  "output.modbus.revert_s":      { type: "integer", min: 0, max: 65535 },
+  "output.modbus.verify":        { type: "boolean" },
+  "output.modbus.timeout_ms":    { type: "integer", min: 100 },
+  priceMidBias:           { type: "number", min: 0 },
+};
+
+function isPlainObject(x) { return x != null && typeof x === "object" && !Array.isArray(x); }
+
+// Djup sammanslagning: objekt slås ihop, allt annat (inkl. listor) ersätts
+function deepMerge(base, over) {
+  if (!isPlainObject(over)) return over === undefined ? base : over;
+  const out = isPlainObject(base) ? { ...base } : {};
+  for (const [k, v] of Object.entries(over)) out[k] = deepMerge(out[k], v);
+  return out;
+}
+
+function checkValue(path, v, rule, errors) {
+  const typeOk = {
+    number: Number.isFinite(v),
+    integer: Number.isInteger(v),
+    boolean: typeof v === "boolean",
+    string: typeof v === "string",
+    array: Array.isArray(v),
+    object: isPlainObject(v),
+  }[rule.type];
+  if (rule.type && !typeOk) { errors.push(`${path}: förväntade ${rule.type}, fick ${JSON.stringify(v)}`); return; }
+  if (rule.enum && !rule.enum.includes(v)) errors.push(`${path}: måste vara en av ${rule.enum.join(", ")} (fick ${JSON.stringify(v)})`);
+  if (rule.min != null && v < rule.min) errors.push(`${path}: måste vara ≥ ${rule.min} (fick ${v})`);
+  if (rule.max != null && v > rule.max) errors.push(`${path}: måste vara ≤ ${rule.max} (fick ${v})`);
+  if (rule.items && Array.isArray(v)) v.forEach((x, i) => checkValue(`${path}[${i}]`, x, rule.items, errors));
+}
+
+// Okända nycklar i användarens konfig (stavfel) jämfört med DEFAULT_CONFIG
+function unknownKeys(user, defaults, prefix, errors) {
+  for (const [k, v] of Object.entries(user || {})) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (!(k in (defaults || {}))) { errors.push(`${path}: okänd nyckel`); continue; }
+    if (CONFIG_SCHEMA[path]?.open) continue;
+    if (isPlainObject(v) && isPlainObject(defaults[k])) unknownKeys(v, defaults[k], path, errors);
+  }
+}
+
+function getPath(obj, path) {
+  return path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// Fält per enhet i batteries[]
+const BATTERY_UNIT_SCHEMA = {
+  id:              { type: "string" },
+  capacity_kWh:    { type: "number", min: 0.1 },
+  minSoc:          { type: "number", min: 0, max: 1 },
+  maxSoc:          { type: "number", min: 0, max: 1 },
+  maxCharge_kW:    { type: "number", min: 0 },
+  maxDischarge_kW: { type: "number", min: 0 },
+  roundTripEff:    { type: "number", min: 0.5, max: 1 },
+};
+
+// Fält per period i tariff.gridTransfer.periods[] (SEK krävs, övriga saknade = alltid)
+const GRID_PERIOD_SCHEMA = {
+  months:   { type: "array", items: { type: "integer", min: 1, max: 12 } },
+  weekdays: { type: "array", items: { type: "integer", min: 0, max: 7 } },
+  fromHour: { type: "integer", min: 0, max: 24 },
+  toHour:   { type: "integer", min: 0, max: 24 },
+  SEK:      { type: "number" },
+};
+
+// Fält per last i flexibleLoads[] (deadline = lokal klocktid "HH:MM")
+const FLEX_LOAD_SCHEMA = {
+  id:          { type: "string" },
+  energy_kWh:  { type: "number", min: 0 },
+  deadline:    { type: "string" },
+  minPower_kW: { type: "number", min: 0 },
+  maxPower_kW: { type: "number", min: 0.01 },
+};
+
+function validateConfig(cfg, user = {}) {
+  const errors = [];
+  unknownKeys(user, DEFAULT_CONFIG, "", errors);
+  for (const [path, rule] of Object.entries(CONFIG_SCHEMA)) checkValue(path, getPath(cfg, path), rule, errors);
+
+  if (cfg.HARD_MIN_SOC >= cfg.HARD_MAX_SOC) errors.push(`HARD_MIN_SOC (${cfg.HARD_MIN_SOC}) måste vara < HARD_MAX_SOC (${cfg.HARD_MAX_SOC})`);
+  if (cfg.cheapPercent + cfg.expensiveTop10Pct + cfg.expensiveNext30Pct > 1 + 1e-9) {
+    errors.push("cheapPercent + expensiveTop10Pct + expensiveNext30Pct får inte överstiga 1 (klasserna skulle överlappa)");
+  }
+  if (!cfg.priceProviders?.length) errors.push("priceProviders: minst en leverantör krävs");
+  try { new Intl.DateTimeFormat("en-US", { timeZone: cfg.timeZone }); }
+  catch (_) { errors.push(`timeZone: okänd tidszon ${JSON.stringify(cfg.timeZone)}`); }
+  (cfg.batteries || []).forEach((b, i) => {
+    if (!isPlainObject(b)) return;
+    for (const [k, v] of Object.entries(b)) {
+      if (!BATTERY_UNIT_SCHEMA[k]) errors.push(`batteries[${i}].${k}: okänd nyckel`);
+      else checkValue(`batteries[${i}].${k}`, v, BATTERY_UNIT_SCHEMA[k], errors);
+    }
+    if ((b.minSoc ?? cfg.HARD_MIN_SOC) >= (b.maxSoc ?? cfg.HARD_MAX_SOC)) errors.push(`batteries[${i}]: minSoc måste vara < maxSoc`);
+  });
+  for (const [k, pts] of Object.entries(cfg.batteryCurves || {})) {
+    const eff = k.endsWith("Efficiency");
+    (Array.isArray(pts) ? pts : []).forEach((pt, i) => {
+      const ok = Array.isArray(pt) && pt.length === 2 && pt.every(Number.isFinite)
+        && pt[0] >= 0 && pt[0] <= 1 && (eff ? pt[1] >= 0.5 && pt[1] <= 1 : pt[1] >= 0 && pt[1] <= 1);
+      if (!ok) errors.push(`batteryCurves.${k}[${i}]: förväntade [${eff ? "andel effekt 0–1, verkningsgrad 0.5–1" : "SoC 0–1, andel effekt 0–1"}] (fick ${JSON.stringify(pt)})`);
+    });
+  }
+  const ids = (cfg.batteries || []).map((b, i) => b?.id || `b${i + 1}`);
+  if (new Set(ids).size !== ids.length) errors.push("batteries: id måste vara unika");
+  (cfg.tariff?.gridTransfer?.periods || []).forEach((p, i) => {
+    const path = `tariff.gridTransfer.periods[${i}]`;
+    if (!isPlainObject(p)) return;
+    for (const [k, v] of Object.entries(p)) {
+      if (!GRID_PERIOD_SCHEMA[k]) errors.push(`${path}.${k}: okänd nyckel`);
+      else checkValue(`${path}.${k}`, v, GRID_PERIOD_SCHEMA[k], errors);
+    }
+    if (p.SEK == null) errors.push(`${path}.SEK: saknas`);
+    if ((p.fromHour ?? 0) >= (p.toHour ?? 24)) errors.push(`${path}: fromHour måste vara < toHour`);
+  });
+  (cfg.flexibleLoads || []).forEach((f, i) => {
+    if (!isPlainObject(f)) return;
+    for (const [k, v] of Object.entries(f)) {
+      if (!FLEX_LOAD_SCHEMA[k]) errors.push(`flexibleLoads[${i}].${k}: okänd nyckel`);
+      else checkValue(`flexibleLoads[${i}].${k}`, v, FLEX_LOAD_SCHEMA[k], errors);
+    }
+    for (const k of ["id", "energy_kWh", "deadline", "maxPower_kW"]) if (f[k] == null) errors.push(`flexibleLoads[${i}].${k}: saknas`);
+    if (f.id != null && !/^\w+$/.test(f.id)) errors.push(`flexibleLoads[${i}].id: endast bokstäver, siffror och _ (fick ${JSON.stringify(f.id)})`);
+    if (f.deadline != null && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(f.deadline)) errors.push(`flexibleLoads[${i}].deadline: förväntade "HH:MM" (fick ${JSON.stringify(f.deadline)})`);
+    if ((f.minPower_kW ?? 0) > f.maxPower_kW) errors.push(`flexibleLoads[${i}]: minPower_kW måste vara ≤ maxPower_kW`);
+  });
+  const flexIds = (cfg.flexibleLoads || []).map(f => f?.id);
+  if (new Set(flexIds).size !== flexIds.length) errors.push("flexibleLoads: id måste vara unika");
+  if (cfg.peakTariff?.fromHour >= cfg.peakTariff?.toHour) errors.push("peakTariff.fromHour måste vara < peakTariff.toHour");
+  if (cfg.peakTariff?.reserveSoC > cfg.HARD_MAX_SOC) errors.push("peakTariff.reserveSoC får inte överstiga HARD_MAX_SOC");
+  if (cfg.mainFuse?.margin_A >= cfg.mainFuse?.rating_A) errors.push("mainFuse.margin_A måste vara < mainFuse.rating_A");
+  if (cfg.mainFuse?.batteryPhases > cfg.mainFuse?.phases) errors.push("mainFuse.batteryPhases får inte överstiga mainFuse.phases");
+  if (cfg.mainFuse?.batteryPhase > cfg.mainFuse?.phases) errors.push("mainFuse.batteryPhase finns inte med mainFuse.phases");
+  return errors;
+}
+
+function applyConfig(cfg) {
+  appliedConfig = cfg;
+  ({ REGION, timeZone, import_extra, export_extra, tariff, priceProviders, providerConfig, priceCache, storageFile, currency,
+     batteryCapacity_kWh, HARD_MIN_SOC, HARD_MAX_SOC, maxChargePower_kW, maxDischargePower_kW, roundTripEff, batteryCurves,
+     degradation, batteries, batterySplit, dispatchStrategy, optimizer, loadForecast, cheapPercent, expensiveTop10Pct, expensiveNext30Pct,
+     allowGridChargeWhenCheap, pvNoiseFloor_kW, hysteresis, inputValidation,
+     solarReserve, solarForecast, negativePrice, flexibleLoads, overrides, peakTariff, mainFuse, history, output, priceMidBias } = cfg);
+  // Flotta: enheter med ärvda standardvärden; planeringen ser summan (kapacitetsviktade SoC-gränser/verkningsgrad)
+  fleet = (batteries || []).map((b, i) => ({
+    id: b.id || `b${i + 1}`,
+    capacity_kWh: b.capacity_kWh ?? batteryCapacity_kWh,
+    minSoc: b.minSoc ?? HARD_MIN_SOC,
+    maxSoc: b.maxSoc ?? HARD_MAX_SOC,
+    maxCharge_kW: b.maxCharge_kW ?? maxChargePower_kW,
+    maxDischarge_kW: b.maxDischarge_kW ?? maxDischargePower_kW,
+    roundTripEff: b.roundTripEff ?? roundTripEff,
+  }));
+  if (fleet.length) {
+    const sum = (f) => fleet.reduce((a, u) => a + f(u), 0);
+    batteryCapacity_kWh = sum(u => u.capacity_kWh);
+    HARD_MIN_SOC = sum(u => u.minSoc * u.capacity_kWh) / batteryCapacity_kWh;
+    HARD_MAX_SOC = sum(u => u.maxSoc * u.capacity_kWh) / batteryCapacity_kWh;
+    maxChargePower_kW = sum(u => u.maxCharge_kW);
+    maxDischargePower_kW = sum(u => u.maxDischarge_kW);
+    roundTripEff = sum(u => u.roundTripEff * u.capacity_kWh) / batteryCapacity_kWh;
+  }
+  // Nominell verkningsgrad en väg: kurvans värde vid full effekt, annars √roundTripEff
+  chargeEff = batteryCurves.chargeEfficiency.length ? interpolateCurve(batteryCurves.chargeEfficiency, 1) : Math.sqrt(roundTripEff);
+  dischargeEff = batteryCurves.dischargeEfficiency.length ? interpolateCurve(batteryCurves.dischargeEfficiency, 1) : Math.sqrt(roundTripEff);
+  midDischargeFloorSoC = HARD_MIN_SOC; // gå inte under hård min i mid
+}
+
+// Hemligheter (tokens, lösenord) visas inte i taggen
+function redactConfig(cfg) {
+  return JSON.parse(JSON.stringify(cfg, (k, v) => (/token|password/i.test(k) && v) ? "***" : v));
+}
+
+function parseConfigJson(raw, source, errors) {
+  if (raw == null || raw === "") return null;
+  if (isPlainObject(raw)) return raw;
+  try {
+    const obj = JSON.parse(String(raw));
+    if (!isPlainObject(obj)) throw new Error("inte ett objekt");
+    return obj;
+  } catch (e) {
+    errors.push(`${source}: ogiltig JSON (${e.message})`);
+    return null;
+  }
+}
+
+async function readConfigTag(name) {
+  if (typeof Homey === "undefined" || !Homey.flow || typeof Homey.flow.getFlowTokens !== "function") return null;
+  const tokens = await Homey.flow.getFlowTokens();
+  const t = Object.values(tokens || {}).find(x => x && x.id === name && String(x.uri || "").includes("homeyscript"));
+  return t ? t.value : null;
+}
+
+// Ladda effektiv konfig. named = namngivna argument, extra = objekt (backtest) som läggs sist.
+async function loadConfig(named = {}, extra = null) {
+  const errors = [];
+  const layers = [];
+  const profile = named.profile ? String(named.profile).replace(/[^\w-]/g, "") : "";
+
+  if (homeyGlobalAvailable()) {
+    layers.push(["global battery_config", global.get("battery_config")]);
+    if (profile) layers.push([`global battery_config_${profile}`, global.get(`battery_config_${profile}`)]);
+  }
+  try { layers.push(["tagg battery_config", await readConfigTag(profile ? `battery_config_${profile}` : "battery_config")]); }
+  catch (e) { console.log("ℹ️ Konfig-tagg kunde inte läsas:", String(e)); }
+  if (named.config) layers.push(["argument config", named.config]);
+  if (extra) layers.push(["extra", extra]);
+
+  let user = {};
+  const sources = [];
+  for (const [source, raw] of layers) {
+    const obj = parseConfigJson(raw, source, errors);
+    if (!obj) continue;
+    user = deepMerge(user, obj);
+    sources.push(source);
+  }
+  const config = deepMerge(DEFAULT_CONFIG, user);
+  errors.push(...validateConfig(config, user));
+  return { config, errors, sources, profile };
+}
+
 // --- Argument ---
 function getArgString() {
   let a = [];
@@ -108,16 +901,21 @@ function getArgString() {
   else if (typeof Homey !== "undefined" && Array.isArray(Homey.args)) a = Homey.args;
   a = (a || []).filter(x => x != null && String(x).trim() !== "");
   if (a.length === 0) {
-    const fallback = "1300;60;261;-970;16";
-    console.log("ℹ️ Inga arguments, använder fallback:", fallback);
-    return fallback;
+    console.log("⚠️ Inga arguments – indata saknas (fail-safe)");
+    return "";
   }
   if (a.length === 1) return String(a[0]);
   return a.map(String).join(";");
 }
 function parseArgString(argStr) {
-  if (!argStr || typeof argStr !== "string") return {};
-  const parts = argStr.split(";").map(s => s.trim()).filter(Boolean);
+  if (!argStr || typeof argStr !== "string") return { named: {} };
+  // Namngivna argument ("profile=hem2", "config={…}") skiljs från de positionella flödena
+  const named = {};
+  const parts = argStr.split(";").map(s => s.trim()).filter(Boolean).filter(p => {
+    const m = /^([A-Za-z_]\w*)=(.*)$/.exec(p);
+    if (m) named[m[1]] = m[2].trim();
+    return !m;
+  });
   const toNum = (s) => {
     if (s == null) return NaN;
     const t = String(s).replace(",", ".");
@@ -130,11 +928,15 @@ function parseArgString(argStr) {
     grid_flow_W: v[1],
     local_flow_W: v[2],
     battery_flow_W: v[3],
-    battery_soc_raw: v[4]
+    battery_soc_raw: v[4],
+    // Flera batterier: ett battery_flow_W;battery_soc-par per enhet efter local_flow_W
+    units: Array.from({ length: Math.max(1, Math.ceil((v.length - 3) / 2)) }, (_, i) => ({ flow_W: v[3 + 2*i], soc_raw: v[4 + 2*i] })),
+    named
   };
 }
+// Saknad SoC → NaN (indatakontrollen skattar eller går till fail-safe)
 function normalizeSoc(socRaw) {
-  if (!Number.isFinite(socRaw)) return 0.5;
+  if (!Number.isFinite(socRaw)) return NaN;
   if (socRaw > 1.5) return clamp01(socRaw / 100);
   return clamp01(socRaw);
 }
@@ -154,74 +956,531 @@ function balanceCheck({ prod_kW, load_kW, gridImport_kW, gridExport_kW, battChar
   const left = prod_kW + gridImport_kW + battDischarge_kW;
   const right = load_kW + gridExport_kW + battCharge_kW;
   const diff = left - right;
-  return { left: round3(left), right: round3(right), diff: round3(diff), ok: Math.abs(diff) < 0.2 };
+  return { left: round3(left), right: round3(right), diff: round3(diff), ok: Math.abs(diff) < inputValidation.balanceTolerance_kW };
+}
+
+// =================== INDATAKONTROLL ===================
+// Sparar senaste SoC (uppmätt eller skattad) + batteriflöde för att skatta SoC nästa körning
+const INPUT_STATE_KEY = "battery_input_state";
+
+// SoC framskriven med battery_flow_W (medel av förra och nuvarande flöde, verkningsgrad per riktning)
+function estimateSoc(prev, battW_now, t) {
+  if (!prev || !Number.isFinite(prev.soc) || prev.ts == null) return null;
+  if ((t - (prev.measuredTs ?? prev.ts)) / 3600000 > inputValidation.maxEstimate_h) return null;
+  const dt_h = Math.max(0, (t - prev.ts) / 3600000);
+  const battW = ((prev.battW || 0) + (battW_now || 0)) / 2;
+  const stored_kWh = battW < 0 ? -battW / 1000 * chargeEff * dt_h : -battW / 1000 / dischargeEff * dt_h;
+  return clamp01(prev.soc + stored_kWh / batteryCapacity_kWh);
+}
+
+// Kontrollerar råa indata. Returnerar SoC att planera med (uppmätt, skattad eller NaN) och ev. fel.
+function validateInputs(parsed, flows_kW, bal, now = nowDate()) {
+  const faults = [];
+  const t = new Date(now).getTime();
+  const prev = loadState(INPUT_STATE_KEY, null);
+  const socMeasured = normalizeSoc(parsed.battery_soc_raw);
+  const socEstimated = estimateSoc(prev, parsed.battery_flow_W, t);
+  if (!inputValidation.enabled) {
+    // Utan kontroll hittas ingen SoC på: saknad SoC går till fail-safe som vanligt
+    if (!Number.isFinite(socMeasured)) faults.push("SoC saknas");
+    return { soc: socMeasured, socEstimated, faults, flowsTrusted: true };
+  }
+
+  const missing = ["producing_W", "grid_flow_W", "local_flow_W", "battery_flow_W"].filter(k => !Number.isFinite(parsed[k]));
+  if (missing.length) faults.push(`saknade flöden: ${missing.join(", ")}`);
+
+  const limits = [
+    ["producing_W", parsed.producing_W, -0.05, inputValidation.maxPv_kW],
+    ["grid_flow_W", parsed.grid_flow_W, -inputValidation.maxGrid_kW, inputValidation.maxGrid_kW],
+    ["local_flow_W", parsed.local_flow_W, -0.05, inputValidation.maxLoad_kW],
+    ["battery_flow_W", parsed.battery_flow_W, -inputValidation.maxBattery_kW, inputValidation.maxBattery_kW],
+  ];
+  for (const [name, w, min_kW, max_kW] of limits) {
+    if (Number.isFinite(w) && (w / 1000 < min_kW || w / 1000 > max_kW)) faults.push(`orimligt ${name}=${w} W`);
+  }
+  if (!missing.length && !bal.ok) faults.push(`energiobalans ${bal.diff} kW`);
+  const flowsTrusted = faults.length === 0;
+
+  let soc = socMeasured;
+  if (Number.isFinite(parsed.battery_soc_raw) && (parsed.battery_soc_raw < 0 || parsed.battery_soc_raw > 100)) {
+    faults.push(`orimlig SoC ${parsed.battery_soc_raw}`);
+    soc = NaN;
+  }
+  if (!Number.isFinite(soc)) {
+    if (!Number.isFinite(parsed.battery_soc_raw)) faults.push("SoC saknas");
+    if (socEstimated != null) soc = socEstimated;
+  } else if (socEstimated != null && Math.abs(soc - socEstimated) > inputValidation.maxSocJump) {
+    faults.push(`SoC-hopp: uppmätt ${Math.round(soc*100)}% mot skattat ${Math.round(socEstimated*100)}%`);
+  }
+
+  const measuredOk = Number.isFinite(socMeasured) && !faults.some(f => f.startsWith("orimlig SoC"));
+  saveState(INPUT_STATE_KEY, {
+    ts: t,
+    soc: Number.isFinite(soc) ? round3(soc) : null,
+    battW: Number.isFinite(parsed.battery_flow_W) ? parsed.battery_flow_W : 0,
+    measuredTs: measuredOk ? t : (prev?.measuredTs ?? null),
+  });
+  return { soc, socEstimated, faults, flowsTrusted };
+}
+
+// Konservativt läge när indata inte går att lita på: aldrig nätladdning eller export
+function failSafeAction(flows_kW, socNow, faults, flowsTrusted) {
+  const reason = `FAIL-SAFE: ${faults[0]}`;
+  if (inputValidation.faultMode === "idle" || !Number.isFinite(socNow) || !flowsTrusted) {
+    return { mode: "idle", power_kW: 0, reason, urgent: true };
+  }
+  const pv_surplus_kW = Math.max(0, flows_kW.prod_kW - flows_kW.load_kW);
+  const load_gap_kW   = Math.max(0, flows_kW.load_kW - flows_kW.prod_kW);
+  if (pv_surplus_kW > pvNoiseFloor_kW && socNow < HARD_MAX_SOC - 1e-6) {
+    return { mode: "charge", power_kW: round2(Math.min(pv_surplus_kW, chargePowerLimit_kW(socNow))), reason: `${reason} – endast solladdning`, urgent: true };
+  }
+  if (load_gap_kW > 0 && socNow > Math.max(HARD_MIN_SOC, overrideReserveSoC(nowDate())) + 1e-3) {
+    return { mode: "discharge", power_kW: round2(Math.min(load_gap_kW, dischargePowerLimit_kW(socNow))), reason: `${reason} – endast egenförbrukning`, urgent: true };
+  }
+  return { mode: "idle", power_kW: 0, reason, urgent: true };
+}
+
+// =================== BATTERIFLOTTA ===================
+// Enheternas indata summeras till ett "sitebatteri" (flöde och kapacitetsviktad SoC) före indatakontrollen
+function aggregateFleetInput(parsed) {
+  const faults = [];
+  if (parsed.units.length !== fleet.length) faults.push(`${parsed.units.length} flöde/SoC-par men ${fleet.length} batterier i konfig`);
+  const units = fleet.map((u, i) => {
+    const inp = parsed.units[i] || {};
+    return { ...u, flow_W: inp.flow_W, soc_raw: inp.soc_raw, soc: normalizeSoc(inp.soc_raw) };
+  });
+  const flows = units.map(u => u.flow_W);
+  const battery_flow_W = flows.every(Number.isFinite) ? flows.reduce((a, w) => a + w, 0) : NaN;
+  // Orimlig SoC hos en enhet vidarebefordras som den är, så att indatakontrollen flaggar den
+  const bad = units.find(u => Number.isFinite(u.soc_raw) && (u.soc_raw < 0 || u.soc_raw > 100));
+  const battery_soc_raw = bad ? bad.soc_raw
+    : units.every(u => Number.isFinite(u.soc)) ? units.reduce((a, u) => a + u.soc * u.capacity_kWh, 0) / batteryCapacity_kWh * 100
+    : NaN;
+  return { units, battery_flow_W, battery_soc_raw, faults };
+}
+
+// Fördela sitens börvärde på enheterna inom varje enhets effekt- och SoC-gränser (under slotten).
+//   soc_balance → vikt efter ledigt utrymme (laddning) / energi över golvet (urladdning), SoC närmar sig varandra
+//   efficiency  → enheten med högst verkningsgrad fylls först
+function splitSetpoint(action, units, slotDur_h = 1) {
+  const charging = action.mode === "charge";
+  const alloc = units.map(() => 0);
+  if (action.mode !== "idle" && action.power_kW > 0) {
+    const energy_kWh = units.map(u => Math.max(0, charging
+      ? (u.maxSoc - u.soc) * u.capacity_kWh / Math.sqrt(u.roundTripEff)
+      : (u.soc - u.minSoc) * u.capacity_kWh * Math.sqrt(u.roundTripEff)));
+    const limit = units.map((u, i) => Math.min(charging ? chargePowerLimit_kW(u.soc, u.maxCharge_kW) : dischargePowerLimit_kW(u.soc, u.maxDischarge_kW), energy_kWh[i] / slotDur_h));
+    let remaining = action.power_kW;
+    if (batterySplit === "efficiency") {
+      const order = units.map((_, i) => i).sort((a, b) => units[b].roundTripEff - units[a].roundTripEff);
+      for (const i of order) {
+        alloc[i] = Math.min(limit[i], remaining);
+        remaining -= alloc[i];
+      }
+    } else {
+      let open = units.map((_, i) => i).filter(i => limit[i] > 1e-6);
+      while (remaining > 1e-6 && open.length) {
+        const wSum = open.reduce((a, i) => a + energy_kWh[i], 0);
+        let used = 0;
+        for (const i of open) {
+          const p = Math.min(limit[i] - alloc[i], remaining * energy_kWh[i] / wSum);
+          alloc[i] += p;
+          used += p;
+        }
+        remaining -= used;
+        open = open.filter(i => limit[i] - alloc[i] > 1e-6);
+        if (used < 1e-9) break;
+      }
+    }
+  }
+  return units.map((u, i) => {
+    const p = round2(alloc[i]);
+    return { id: u.id, mode: p > 0.01 ? action.mode : "idle", power_kW: p > 0.01 ? p : 0, soc: u.soc };
+  });
 }
 
 // =================== PRISER ===================
+// Kalenderdatum i marknadens tidszon
 function ymd(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, "0");
-  const d = String(date.getDate()).padStart(2, "0");
+  const p = zonedParts(date);
+  const y = p.year;
+  const m = String(p.month).padStart(2, "0");
+  const d = String(p.day).padStart(2, "0");
   return { y, m, d };
 }
-async function fetchPricesFor(date, region) {
+function ymdString(date) {
+  const { y, m, d } = ymd(date);
+  return `${y}-${m}-${d}`;
+}
+
+// --- Valuta ---
+let eurToSekCached = null;
+async function eurToSekRate() {
+  if (eurToSekCached != null) return eurToSekCached;
+  eurToSekCached = currency.eurToSek;
+  if (currency.fxUrl) {
+    try {
+      const res = await fetch(currency.fxUrl);
+      if (!res.ok) throw new Error(`status ${res.status}`);
+      const data = await res.json();
+      const rate = Number(data?.rates?.SEK);
+      if (Number.isFinite(rate) && rate > 0) eurToSekCached = rate;
+    } catch (e) {
+      console.log("ℹ️ Valutakurs ej tillgänglig, använder fast kurs:", String(e));
+    }
+  }
+  return eurToSekCached;
+}
+async function toSEK(amount, cur) {
+  const c = String(cur || "SEK").toUpperCase();
+  if (c === "SEK") return amount;
+  if (c === "EUR") return amount * await eurToSekRate();
+  throw new Error(`Okänd valuta: ${cur}`);
+}
+
+// --- Leverantörer ---
+// Varje leverantör returnerar normaliserade slottar { start, end, spot_SEK } för ett kalenderdygn.
+async function fetchElprisetjustnu(date, region, cfg) {
   const { y, m, d } = ymd(date);
-  const url = `https://www.elprisetjustnu.se/api/v1/prices/${y}/${m}-${d}_${region}.json`;
+  const url = `${cfg.baseUrl}/${y}/${m}-${d}_${region}.json`;
   console.log("🌐 Hämtar priser:", url);
   const res = await fetch(url);
   if (!res.ok) throw new Error(`Pris-API svarade ${res.status} för ${y}-${m}-${d}`);
   const data = await res.json();
-  data.sort((a, b) => new Date(a.time_start) - new Date(b.time_start));
-  return data.map(p => ({
-    start: p.time_start,
-    end: p.time_end,
-    spot_SEK: Number(p.SEK_per_kWh),
-    buy_SEK:  Number(p.SEK_per_kWh) + import_extra,
-    sell_SEK: Number(p.SEK_per_kWh) + export_extra,
-  }));
+  return data.map(p => ({ start: p.time_start, end: p.time_end, spot_SEK: Number(p.SEK_per_kWh) }));
+}
+
+async function fetchNordpool(date, region, cfg) {
+  const cur = cfg.currency || "SEK";
+  const url = `${cfg.baseUrl}?date=${ymdString(date)}&market=DayAhead&deliveryArea=${region}&currency=${cur}`;
+  console.log("🌐 Hämtar priser (Nord Pool):", url);
+  const res = await fetch(url);
+  if (res.status === 204) return []; // ej publicerat ännu
+  if (!res.ok) throw new Error(`Nord Pool svarade ${res.status} för ${ymdString(date)}`);
+  const data = await res.json();
+  const entries = Array.isArray(data?.multiAreaEntries) ? data.multiAreaEntries : [];
+  const out = [];
+  for (const e of entries) {
+    const perMWh = Number(e?.entryPerArea?.[region]);
+    if (!Number.isFinite(perMWh)) continue;
+    out.push({ start: e.deliveryStart, end: e.deliveryEnd, spot_SEK: await toSEK(perMWh / 1000, cur) });
+  }
+  return out;
+}
+
+const ENTSOE_AREAS = {
+  SE1: "10Y1001A1001A44P",
+  SE2: "10Y1001A1001A45N",
+  SE3: "10Y1001A1001A46L",
+  SE4: "10Y1001A1001A47J",
+};
+function entsoeStamp(dt) {
+  return dt.toISOString().replace(/[-:T]/g, "").slice(0, 12); // yyyyMMddHHmm (UTC)
+}
+function xmlTagRe(name, flags) {
+  const n = name.replace(/\./g, "\\.");
+  return new RegExp(`<${n}(?:\\s[^>]*)?>([\\s\\S]*?)</${n}>`, flags);
+}
+function xmlTag(xml, name) {
+  const m = xmlTagRe(name).exec(xml);
+  return m ? m[1].trim() : null;
+}
+function xmlTags(xml, name) {
+  const re = xmlTagRe(name, "g");
+  const out = [];
+  let m;
+  while ((m = re.exec(xml))) out.push(m[1]);
+  return out;
+}
+// ENTSO-E Publication_MarketDocument (A44). Kurvtyp A03 utelämnar punkter med oförändrat pris.
+// Samma dygn kan komma som både PT15M- och PT60M-serie: finaste upplösningen gäller, grövre fyller bara luckor.
+function parseEntsoeXml(xml) {
+  const points = [];
+  for (const period of xmlTags(xml, "Period")) {
+    const start = new Date(xmlTag(period, "start"));
+    const end = new Date(xmlTag(period, "end"));
+    const res = /PT(\d+)M/.exec(xmlTag(period, "resolution") || "");
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || !res) continue;
+    const stepMs = Number(res[1]) * 60000;
+    const count = Math.round((end - start) / stepMs);
+    const byPos = new Map();
+    for (const pt of xmlTags(period, "Point")) {
+      const pos = Number(xmlTag(pt, "position"));
+      const price = Number(xmlTag(pt, "price.amount"));
+      if (Number.isFinite(pos) && Number.isFinite(price)) byPos.set(pos, price);
+    }
+    let last = NaN;
+    for (let pos = 1; pos <= count; pos++) {
+      if (byPos.has(pos)) last = byPos.get(pos);
+      if (!Number.isFinite(last)) continue;
+      const s = start.getTime() + (pos - 1) * stepMs;
+      points.push({ s, e: s + stepMs, price_EUR_MWh: last });
+    }
+  }
+  const out = [];
+  for (const p of points.sort((a, b) => (a.e - a.s) - (b.e - b.s) || a.s - b.s)) {
+    if (out.some(q => p.s < q.e && q.s < p.e)) continue;
+    out.push(p);
+  }
+  return out
+    .sort((a, b) => a.s - b.s)
+    .map(p => ({ start: new Date(p.s).toISOString(), end: new Date(p.e).toISOString(), price_EUR_MWh: p.price_EUR_MWh }));
+}
+async function fetchEntsoe(date, region, cfg) {
+  if (!cfg.securityToken) throw new Error("ENTSO-E: securityToken saknas");
+  const area = ENTSOE_AREAS[region];
+  if (!area) throw new Error(`ENTSO-E: okänt elområde ${region}`);
+  const dayStart = zonedDayStart(date);
+  const dayEnd = zonedDayStart(date, 1);
+  const url = `${cfg.baseUrl}?securityToken=${encodeURIComponent(cfg.securityToken)}&documentType=A44`
+    + `&in_Domain=${area}&out_Domain=${area}&periodStart=${entsoeStamp(dayStart)}&periodEnd=${entsoeStamp(dayEnd)}`;
+  console.log("🌐 Hämtar priser (ENTSO-E):", ymdString(date), region);
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`ENTSO-E svarade ${res.status} för ${ymdString(date)}`);
+  const xml = await res.text();
+  if (/<Acknowledgement_MarketDocument/.test(xml)) {
+    throw new Error(`ENTSO-E: ${xmlTag(xml, "text") || "inga data"}`);
+  }
+  const rate = await eurToSekRate();
+  return parseEntsoeXml(xml)
+    .filter(p => new Date(p.start) >= dayStart && new Date(p.start) < dayEnd)
+    .map(p => ({ start: p.start, end: p.end, spot_SEK: p.price_EUR_MWh / 1000 * rate }));
+}
+
+// Tibber levererar idag+imorgon i ett anrop → memo per körning
+let tibberPriceInfoCached = null;
+async function fetchTibber(date, region, cfg) {
+  if (!cfg.token) throw new Error("Tibber: token saknas");
+  if (!tibberPriceInfoCached) {
+    console.log("🌐 Hämtar priser (Tibber)");
+    const query = "{ viewer { homes { currentSubscription { priceInfo { "
+      + "today { startsAt energy currency } tomorrow { startsAt energy currency } } } } } }";
+    const res = await fetch(cfg.baseUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Authorization": `Bearer ${cfg.token}` },
+      body: JSON.stringify({ query })
+    });
+    if (!res.ok) throw new Error(`Tibber svarade ${res.status}`);
+    const data = await res.json();
+    if (Array.isArray(data?.errors) && data.errors.length) throw new Error(`Tibber: ${data.errors[0].message}`);
+    const info = data?.data?.viewer?.homes?.[0]?.currentSubscription?.priceInfo;
+    if (!info) throw new Error("Tibber: priceInfo saknas");
+    tibberPriceInfoCached = [...(info.today || []), ...(info.tomorrow || [])];
+  }
+  const wanted = ymdString(date);
+  const all = [...tibberPriceInfoCached].sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+  const out = [];
+  for (let i = 0; i < all.length; i++) {
+    const p = all[i];
+    const s = new Date(p.startsAt);
+    if (ymdString(s) !== wanted) continue;
+    const next = all[i + 1] ? new Date(all[i + 1].startsAt) : null;
+    const e = (next && next - s <= 3600000) ? next : new Date(s.getTime() + 3600000);
+    out.push({ start: s.toISOString(), end: e.toISOString(), spot_SEK: await toSEK(Number(p.energy), p.currency) });
+  }
+  return out;
+}
+
+const PRICE_PROVIDERS = {
+  elprisetjustnu: fetchElprisetjustnu,
+  nordpool: fetchNordpool,
+  entsoe: fetchEntsoe,
+  tibber: fetchTibber,
+};
+
+// Lägg på tariff (köp/sälj) och slotlängd på normaliserade slottar
+function toPriceSlots(raw) {
+  const creditAvailable = taxCreditRemaining_kWh() > 0;
+  return raw
+    .filter(p => p && p.start && p.end && Number.isFinite(p.spot_SEK))
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .map(p => ({
+      start: p.start,
+      end: p.end,
+      duration_h: slotHours(p),
+      spot_SEK: p.spot_SEK,
+      ...slotPrices(p.spot_SEK, p.start, creditAvailable),
+    }));
+}
+
+async function fetchPricesFor(date, region) {
+  const errors = [];
+  for (const name of priceProviders) {
+    const fn = PRICE_PROVIDERS[name];
+    if (!fn) { errors.push(`${name}: okänd leverantör`); continue; }
+    try {
+      const slots = toPriceSlots(await fn(date, region, providerConfig[name] || {}));
+      if (!slots.length) throw new Error("inga priser");
+      return { slots, provider: name };
+    } catch (e) {
+      console.log(`⚠️ Prisleverantör ${name} misslyckades:`, String(e));
+      errors.push(`${name}: ${e && e.message ? e.message : String(e)}`);
+    }
+  }
+  throw new Error(`Inga priser för ${ymdString(date)} (${errors.join("; ")})`);
+}
+// --- Priscache ---
+// Nyckel "SE3:2026-10-19" → { provider, fetchedAt, slots:[{start,end,spot_SEK}] }
+const PRICE_CACHE_KEY = "battery_price_cache";
+
+function priceCacheKey(date, region) { return `${region}:${ymdString(date)}`; }
+
+function dayCoveredBySlots(date, slots) {
+  if (!slots || !slots.length) return false;
+  const dayEnd = zonedDayStart(date, 1).getTime();
+  return new Date(slots[slots.length - 1].end).getTime() >= dayEnd - 60000;
 }
+
+function readCachedDay(cache, date, region) {
+  const entry = cache[priceCacheKey(date, region)];
+  if (!entry || !Array.isArray(entry.slots)) return null;
+  const slots = toPriceSlots(entry.slots);
+  return dayCoveredBySlots(date, slots) ? { slots, provider: entry.provider } : null;
+}
+
+function storeCachedDay(cache, date, region, fetched) {
+  cache[priceCacheKey(date, region)] = {
+    provider: fetched.provider,
+    fetchedAt: nowDate().toISOString(),
+    slots: fetched.slots.map(h => ({ start: h.start, end: h.end, spot_SEK: h.spot_SEK }))
+  };
+  const keys = Object.keys(cache).sort();
+  while (keys.length > priceCache.keepDays) delete cache[keys.shift()];
+}
+
+// Flytta senaste cachade dygnets prisprofil till önskat datum (samma lokala klockslag).
+// Dygnet byggs upp slot för slot, så 23/25-timmarsdygn (sommartid) får rätt antal slottar.
+function synthesizeDay(cache, date, region) {
+  const dayStart = zonedDayStart(date);
+  const dayEnd = zonedDayStart(date, 1);
+  const build = (step_ms, priceAt) => {
+    const out = [];
+    for (let t = dayStart.getTime(); t < dayEnd.getTime(); t += step_ms) {
+      out.push({ start: new Date(t).toISOString(), end: new Date(Math.min(t + step_ms, dayEnd.getTime())).toISOString(), spot_SEK: priceAt(t) });
+    }
+    return toPriceSlots(out);
+  };
+  if (priceCache.synthesizeFromCache) {
+    const prefix = `${region}:`;
+    const candidates = Object.keys(cache).filter(k => k.startsWith(prefix) && k < priceCacheKey(date, region)).sort();
+    const srcKey = candidates.pop();
+    const src = srcKey ? cache[srcKey] : null;
+    if (src?.slots?.length) {
+      const clockKey = (t) => { const p = zonedParts(t); return p.hour * 60 + p.minute; };
+      const byClock = new Map();
+      for (const h of src.slots) {
+        const k = clockKey(h.start);
+        if (!byClock.has(k)) byClock.set(k, h.spot_SEK); // dubblerad timme: första vinner
+      }
+      const step_ms = new Date(src.slots[0].end) - new Date(src.slots[0].start);
+      let last = src.slots[0].spot_SEK;
+      const slots = build(step_ms, (t) => {
+        const k = clockKey(t);
+        if (byClock.has(k)) last = byClock.get(k); // saknad timme i källan: föregående pris
+        return last;
+      });
+      if (slots.length) return { slots, source: `synthetic:${srcKey.slice(prefix.length)}` };
+    }
+  }
+  return { slots: build(3600000, () => priceCache.flatSpot_SEK), source: "synthetic:flat" };
+}
+
+// Idag hämtas bara om den saknas i cache; imorgon hämtas (efter kl 13) tills den finns.
+// Vid avbrott: planera från syntetiska priser och markera källan som inaktuell (stale).
 async function fetchTodayAndMaybeTomorrow(region) {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const tomorrow = new Date(today.getTime() + 24*60*60*1000);
-  const todayHours = await fetchPricesFor(today, region);
+  const now = nowDate();
+  const today = zonedDayStart(now);
+  const tomorrow = zonedDayStart(now, 1); // inte +24 h: sommartidsdygn är 23/25 h
+  const cache = loadState(PRICE_CACHE_KEY, {}) || {};
+  let dirty = false;
+
+  let todayHours;
+  let source;
+  let stale = false;
+  const cachedToday = readCachedDay(cache, today, region);
+  if (cachedToday) {
+    todayHours = cachedToday.slots;
+    source = `cache:${cachedToday.provider}`;
+    console.log("💾 Dagens priser från cache:", cachedToday.provider);
+  } else {
+    try {
+      const fetched = await fetchPricesFor(today, region);
+      todayHours = fetched.slots;
+      source = fetched.provider;
+      storeCachedDay(cache, today, region, fetched);
+      dirty = true;
+    } catch (e) {
+      const synth = synthesizeDay(cache, today, region);
+      todayHours = synth.slots;
+      source = synth.source;
+      stale = true;
+      console.log("⚠️ Priser ej tillgängliga → degraderat läge:", source, String(e));
+    }
+  }
+
   let tomorrowHours = [];
-  if (now.getHours() >= 13) {
-    try { tomorrowHours = await fetchPricesFor(tomorrow, region); }
+  const cachedTomorrow = readCachedDay(cache, tomorrow, region);
+  if (cachedTomorrow) {
+    tomorrowHours = cachedTomorrow.slots;
+  } else if (zonedParts(now).hour >= 13) {
+    try {
+      const fetched = await fetchPricesFor(tomorrow, region);
+      tomorrowHours = fetched.slots;
+      storeCachedDay(cache, tomorrow, region, fetched);
+      dirty = true;
+    }
     catch (e) { console.log("ℹ️ Morgondagens priser ej tillgängliga:", String(e)); }
   }
-  return { todayHours, tomorrowHours };
+
+  if (dirty) saveState(PRICE_CACHE_KEY, cache);
+  return { todayHours, tomorrowHours, source, stale };
+}
+// Plocka slottar i sorterad ordning tills andelen av tiden (timmar) är nådd.
+// Motsvarar Math.round(n * pct) när alla slottar är lika långa, men fungerar även för blandade 15/60-min.
+function takeByDuration(sorted, targetHours, minCount) {
+  const out = [];
+  let acc = 0;
+  for (const h of sorted) {
+    const dur = slotHours(h);
+    if (out.length >= minCount && acc + dur / 2 > targetHours + 1e-9) break;
+    out.push(h);
+    acc += dur;
+  }
+  return out;
 }
 function classifyPrices(hours) {
   if (!hours || !hours.length) {
     return { cheapSet:new Set(), expTop10:new Set(), expNext30:new Set() };
   }
+  const totalHours = hours.reduce((a,h)=>a + slotHours(h), 0);
+
   // Cheap (köp)
   const byBuyAsc = [...hours].sort((a,b)=>a.buy_SEK-b.buy_SEK);
-  const cheapN = Math.max(1, Math.round(hours.length * cheapPercent));
-  const cheapSet = new Set(byBuyAsc.slice(0, cheapN).map(h=>h.start));
+  const cheapSet = new Set(takeByDuration(byBuyAsc, totalHours * cheapPercent, 1).map(h=>h.start));
 
   // Expensive (sälj/last-shave)
   const bySellDesc = [...hours].sort((a,b)=>b.sell_SEK-a.sell_SEK);
-  const top10N  = Math.max(1, Math.round(hours.length * expensiveTop10Pct));
-  const next30N = Math.max(0, Math.round(hours.length * expensiveNext30Pct));
-  const expTop10  = new Set(bySellDesc.slice(0, top10N).map(h=>h.start));
-  const expNext30 = new Set(bySellDesc.slice(top10N, top10N + next30N).map(h=>h.start));
+  const top10 = takeByDuration(bySellDesc, totalHours * expensiveTop10Pct, 1);
+  const next30 = takeByDuration(bySellDesc.slice(top10.length), totalHours * expensiveNext30Pct, 0);
+  const expTop10  = new Set(top10.map(h=>h.start));
+  const expNext30 = new Set(next30.map(h=>h.start));
 
   return { cheapSet, expTop10, expNext30 };
 }
+// Tidsviktat snittpris (15-min slottar väger en fjärdedel av en timslot)
 function avgBuy(hours) {
   if (!hours || !hours.length) return NaN;
-  return hours.reduce((a,h)=>a + (h.buy_SEK||0), 0) / hours.length;
+  const totalHours = hours.reduce((a,h)=>a + slotHours(h), 0);
+  return hours.reduce((a,h)=>a + (h.buy_SEK||0) * slotHours(h), 0) / totalHours;
 }
 function priceStateNow(hours, classes) {
-  const now = new Date();
+  const now = nowDate();
   const slot = hours.find(h => {
     const s = new Date(h.start);
     const e = new Date(h.end);
     return now >= s && now < e;
   });
-  if (!slot) return { state: "normal", price: NaN, slot: null, inTop10:false, inNext30:false, inCheap:false };
+  if (!slot) return { state: "normal", price: NaN, slot: null, duration_h: 1, inTop10:false, inNext30:false, inCheap:false };
   const key = slot.start;
   const inCheap  = classes.cheapSet.has(key);
   const inTop10  = classes.expTop10.has(key);
@@ -231,10 +1490,174 @@ function priceStateNow(hours, classes) {
   if (inCheap) state = "cheap";
   else if (inTop10 || inNext30) state = "expensive";
 
-  return { state, price: slot.buy_SEK, slot, inTop10, inNext30, inCheap };
+  return { state, price: slot.buy_SEK, slot, duration_h: slotHours(slot), inTop10, inNext30, inCheap };
+}
+
+// =================== LASTPROGNOS ===================
+// Hinkar "veckodag-timme" (lokal tid) → { load: {mean, w}, pv: {mean, w}, t } där t = senaste uppdatering (ms)
+const LOAD_HISTORY_KEY = "battery_load_history";
+let loadHistoryCached = null;
+
+function loadHistory() {
+  if (!loadHistoryCached) loadHistoryCached = loadState(LOAD_HISTORY_KEY, {}) || {};
+  return loadHistoryCached;
+}
+function loadBucketKey(date) {
+  const p = zonedParts(date);
+  return `${p.weekday}-${p.hour}`; // dubblerad timme (höst) delar hink, saknad timme (vår) får inga prov
+}
+function decayFactor(fromMs, toMs) {
+  const days = Math.max(0, (toMs - fromMs) / 86400000);
+  return Math.pow(0.5, days / Math.max(1e-6, loadForecast.halfLife_days));
+}
+function updateWeightedMean(agg, x, decay) {
+  const w = (agg?.w || 0) * decay;
+  const mean = agg?.mean || 0;
+  return { mean: (mean * w + x) / (w + 1), w: w + 1 };
+}
+
+function recordLoadSample(flows_kW, when = nowDate()) {
+  if (!loadForecast.enabled) return;
+  const hist = loadHistory();
+  const key = loadBucketKey(when);
+  const nowMs = new Date(when).getTime();
+  const prev = hist[key] || {};
+  const decay = prev.t ? decayFactor(prev.t, nowMs) : 1;
+  hist[key] = {
+    load: updateWeightedMean(prev.load, Math.max(0, flows_kW.load_kW || 0), decay),
+    pv: updateWeightedMean(prev.pv, Math.max(0, flows_kW.prod_kW || 0), decay),
+    t: nowMs
+  };
+  saveState(LOAD_HISTORY_KEY, hist);
+}
+
+// Förväntad last (kW) vid tidpunkt: veckodag+timme → samma timme alla dagar → fallback
+function expectedLoad_kW(date) {
+  if (!loadForecast.enabled) return loadForecast.fallback_kW;
+  const hist = loadHistory();
+  const dt = new Date(date);
+  if (Number.isNaN(dt.getTime())) return loadForecast.fallback_kW;
+  const nowMs = nowDate().getTime();
+  const own = hist[loadBucketKey(dt)];
+  if (own?.load && own.load.w * decayFactor(own.t, nowMs) >= loadForecast.minWeight) return own.load.mean;
+
+  let sum = 0;
+  let w = 0;
+  for (let d = 0; d < 7; d++) {
+    const b = hist[`${d}-${zonedParts(dt).hour}`];
+    if (!b?.load) continue;
+    const bw = b.load.w * decayFactor(b.t, nowMs);
+    sum += b.load.mean * bw;
+    w += bw;
+  }
+  if (w >= loadForecast.minWeight) return sum / w;
+  return loadForecast.fallback_kW;
+}
+function expectedLoadForSlot(slot) {
+  return expectedLoad_kW(slot.start) + flexLoadFor_kW(slot); // + schemalagda flexibla laster
+}
+
+// =================== SOLPROGNOS ===================
+// Normaliserad prognos: [{ start, end, pv_kW }] sorterad på start
+const PV_FORECAST_KEY = "battery_pv_forecast";
+
+function normalizePvForecast(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(p => {
+      const start = new Date(p.start);
+      const end = p.end ? new Date(p.end) : new Date(start.getTime() + 3600000);
+      const pv_kW = Number.isFinite(Number(p.pv_kW)) ? Number(p.pv_kW) : Number(p.pv_W) / 1000;
+      return { start, end, pv_kW };
+    })
+    .filter(p => !Number.isNaN(p.start.getTime()) && p.end > p.start && Number.isFinite(p.pv_kW))
+    .sort((a, b) => a.start - b.start)
+    .map(p => ({ start: p.start.toISOString(), end: p.end.toISOString(), pv_kW: Math.max(0, p.pv_kW) }));
+}
+
+// forecast.solar watthours/period: { result: { "YYYY-MM-DD HH:mm:ss": Wh } }, Wh för perioden som slutar vid tidpunkten.
+// Tiderna är lokal tid på anläggningen (message.info.timezone), inte värdens tidszon.
+function parseForecastSolar(data) {
+  const tz = data?.message?.info?.timezone || timeZone;
+  const entries = Object.entries(data?.result || {})
+    .map(([k, wh]) => {
+      const m = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/.exec(k);
+      const t = m ? zonedTime(+m[1], +m[2], +m[3], +m[4], +m[5], tz) : new Date(NaN);
+      return { t, day: k.slice(0, 10), wh: Number(wh) };
+    })
+    .filter(e => !Number.isNaN(e.t.getTime()) && Number.isFinite(e.wh))
+    .sort((a, b) => a.t - b.t);
+  const out = [];
+  for (let i = 0; i < entries.length; i++) {
+    const end = entries[i].t;
+    const prev = entries[i - 1];
+    const sameDay = prev && prev.day === entries[i].day;
+    const start = sameDay ? prev.t : new Date(end.getTime() - 3600000);
+    const hours = (end - start) / 3600000;
+    if (hours <= 0) continue;
+    out.push({ start: start.toISOString(), end: end.toISOString(), pv_kW: entries[i].wh / 1000 / hours });
+  }
+  return out;
+}
+
+async function loadPvForecast() {
+  const src = solarForecast.source;
+  if (!src || src === "none") return [];
+  try {
+    if (src === "file") {
+      const raw = require("fs").readFileSync(solarForecast.file, "utf8");
+      return normalizePvForecast(JSON.parse(raw));
+    }
+    if (src === "global") {
+      return normalizePvForecast(loadState(solarForecast.globalKey, []));
+    }
+    if (src === "forecast.solar") {
+      const cached = loadState(PV_FORECAST_KEY, null);
+      const ageMin = cached ? (nowDate().getTime() - new Date(cached.fetchedAt).getTime()) / 60000 : Infinity;
+      if (cached && ageMin < solarForecast.refreshMinutes) return normalizePvForecast(cached.slots);
+      try {
+        console.log("🌐 Hämtar PV-prognos:", solarForecast.url);
+        const res = await fetch(solarForecast.url);
+        if (!res.ok) throw new Error(`PV-prognos svarade ${res.status}`);
+        const slots = normalizePvForecast(parseForecastSolar(await res.json()));
+        saveState(PV_FORECAST_KEY, { fetchedAt: nowDate().toISOString(), slots });
+        return slots;
+      } catch (e) {
+        if (cached) {
+          console.log("ℹ️ PV-prognos ej tillgänglig, använder sparad:", String(e));
+          return normalizePvForecast(cached.slots);
+        }
+        throw e;
+      }
+    }
+    console.log("ℹ️ Okänd PV-prognoskälla:", src);
+  } catch (e) {
+    console.log("⚠️ PV-prognos misslyckades:", String(e));
+  }
+  return [];
+}
+
+// Utrymme (kWh lagrat) som behövs från tidpunkten fromMs för att ta emot förväntat PV-överskott.
+// Löpande max av kumulativt nettoöverskott: underskott (last > PV) frigör utrymme igen.
+function requiredPvHeadroom_kWh(forecast, fromMs) {
+  let cum = 0;
+  let peak = 0;
+  for (const f of forecast) {
+    const s = Math.max(new Date(f.start).getTime(), fromMs);
+    const e = new Date(f.end).getTime();
+    if (e <= s) continue;
+    const dur_h = (e - s) / 3600000;
+    const net_kW = f.pv_kW - expectedLoad_kW(s);
+    cum += (net_kW > 0)
+      ? Math.min(net_kW, maxChargePower_kW) * dur_h * chargeEff
+      : net_kW * dur_h / dischargeEff;
+    if (cum < 0) cum = 0; // batteriet kan inte gå under tomt relativt startläget
+    peak = Math.max(peak, cum);
+  }
+  return peak * (solarReserve.forecastMargin ?? 1);
 }
 
-function applySolarReserveCaps(todayHours, tomorrowHours, classesAll) {
+function applySolarReserveCaps(todayHours, tomorrowHours, classesAll, pvForecast) {
   socCapOverrides.clear();
 
   if (!solarReserve?.enabled) {
@@ -242,6 +1665,11 @@ function applySolarReserveCaps(todayHours, tomorrowHours, classesAll) {
     return;
   }
 
+  if (solarReserve.useForecast !== false && Array.isArray(pvForecast) && pvForecast.length) {
+    applyForecastReserveCaps([...(todayHours || []), ...(tomorrowHours || [])], classesAll, pvForecast);
+    return;
+  }
+
   const reserveCap = Math.min(HARD_MAX_SOC, Math.max(HARD_MIN_SOC, clamp01(solarReserve.maxMorningSoC ?? HARD_MAX_SOC)));
   if (reserveCap >= HARD_MAX_SOC - 1e-6) {
     console.log("☀️ Solar-reserve: maxMorningSoC når hårt tak → ingen begränsning.");
@@ -265,9 +1693,9 @@ function applySolarReserveCaps(todayHours, tomorrowHours, classesAll) {
   const skipExpensive = solarReserve.skipExpensiveHours !== false;
 
   const summary = {};
-  const register = (date) => {
-    const key = date.toISOString().slice(0, 10);
-    summary[key] = (summary[key] || 0) + 1;
+  const register = (date, dur) => {
+    const key = ymdString(date);
+    summary[key] = round2((summary[key] || 0) + dur); // timmar med tak
   };
 
   const inWindow = (hour) => {
@@ -282,17 +1710,17 @@ function applySolarReserveCaps(todayHours, tomorrowHours, classesAll) {
       const dt = new Date(h.start);
       if (Number.isNaN(dt.getTime())) continue;
       if (enforceMonth) {
-        const month = dt.getMonth() + 1;
+        const month = zonedParts(dt).month;
         if (!activeMonths.has(month)) continue;
       }
-      const hour = dt.getHours();
+      const hour = zonedParts(dt).hour;
       if (!inWindow(hour)) continue;
       if (skipExpensive) {
         const key = h.start;
         if ((expTop10.has(key)) || (expNext30.has(key))) continue;
       }
-      setSocCapOverride(dt, reserveCap);
-      register(dt);
+      setSocCapOverride(h, reserveCap);
+      register(dt, slotHours(h));
     }
   };
 
@@ -306,132 +1734,925 @@ function applySolarReserveCaps(todayHours, tomorrowHours, classesAll) {
   }
 }
 
-// =================== MÅL INFÖR IMORGON ===================
-function computeSoCTargetForMidnight(todayHours, tomorrowHours, classesAll) {
-  const now = new Date();
+// Tak per prisslot från PV-prognos (endast slottar som prognosen täcker)
+function applyForecastReserveCaps(slots, classesAll, pvForecast) {
+  const expTop10 = (classesAll && classesAll.expTop10 instanceof Set) ? classesAll.expTop10 : new Set();
+  const expNext30 = (classesAll && classesAll.expNext30 instanceof Set) ? classesAll.expNext30 : new Set();
+  const skipExpensive = solarReserve.skipExpensiveHours !== false;
+  const forecastEnd = new Date(pvForecast[pvForecast.length - 1].end).getTime();
+
+  const minCapPerDay = {};
+  for (const h of slots) {
+    const b = slotBounds(h);
+    if (!b || b.startMs >= forecastEnd) continue;
+    if (skipExpensive && (expTop10.has(h.start) || expNext30.has(h.start))) continue;
+    const headroom_kWh = requiredPvHeadroom_kWh(pvForecast, b.startMs);
+    const cap = Math.max(HARD_MIN_SOC, HARD_MAX_SOC - headroom_kWh / batteryCapacity_kWh);
+    if (cap >= HARD_MAX_SOC - 1e-6) continue;
+    setSocCapOverride(h, cap);
+    const day = ymdString(new Date(b.startMs));
+    minCapPerDay[day] = Math.min(minCapPerDay[day] ?? 1, round2(cap));
+  }
 
-  const cheapTodayRemaining = todayHours.filter(h => new Date(h.start) > now && classesAll.cheapSet.has(h.start));
-  const avgCheapTodayRemaining = cheapTodayRemaining.length
-    ? cheapTodayRemaining.reduce((a,h)=>a+h.buy_SEK,0)/cheapTodayRemaining.length
-    : Infinity;
+  if (Object.keys(minCapPerDay).length) {
+    console.log("☀️ Solar-reserve (prognos): lägsta SoC-tak per dag", minCapPerDay);
+  } else {
+    console.log("☀️ Solar-reserve (prognos): inget förväntat överskott → ingen begränsning.");
+  }
+}
 
-  const expTomorrowTop10  = tomorrowHours.filter(h => classesAll.expTop10.has(h.start));
-  const expTomorrowNext30 = tomorrowHours.filter(h => classesAll.expNext30.has(h.start));
-  const avgExpTomorrow = [...expTomorrowTop10, ...expTomorrowNext30].length
-    ? [...expTomorrowTop10, ...expTomorrowNext30].reduce((a,h)=>a+h.buy_SEK,0)/([ ...expTomorrowTop10, ...expTomorrowNext30 ].length)
-    : -Infinity;
-  const expCount = expTomorrowTop10.length + expTomorrowNext30.length;
+// =================== NEGATIVA PRISER ===================
+function exportBlocked(slot) {
+  return negativePrice.enabled && Number.isFinite(slot?.sell_SEK) && slot.sell_SEK < negativePrice.minExportSell_SEK;
+}
+function gridChargePaid(slot) {
+  return negativePrice.enabled && Number.isFinite(slot?.buy_SEK) && slot.buy_SEK < negativePrice.gridChargeBelowBuy_SEK;
+}
 
-  if (!tomorrowHours.length || expCount === 0) {
-    return { targetSoC: null, profitCheck: null };
+// Medel-PV (kW) enligt prognosen över slotten (0 utan prognos)
+function pvForecastFor_kW(pvForecast, slot) {
+  const b = slotBounds(slot);
+  if (!b || !Array.isArray(pvForecast)) return 0;
+  let kWh = 0;
+  for (const f of pvForecast) {
+    const s = Math.max(new Date(f.start).getTime(), b.startMs);
+    const e = Math.min(new Date(f.end).getTime(), b.endMs);
+    if (e > s) kWh += f.pv_kW * (e - s) / 3600000;
   }
+  return kWh / ((b.endMs - b.startMs) / 3600000);
+}
 
-  const maxProfitableBuy = avgExpTomorrow * roundTripEff;
-  const profitable = avgCheapTodayRemaining <= maxProfitableBuy;
-
-  const energyNeed_kWh = expCount * maxDischargePower_kW * 1.0; // antag 1h/timme
-  const maxFill_kWh = batteryCapacity_kWh * (HARD_MAX_SOC - HARD_MIN_SOC);
-  const targetSoC = clamp01(HARD_MIN_SOC + Math.min(energyNeed_kWh, maxFill_kWh) / batteryCapacity_kWh);
+// Laddbar energi i ett fönster: full laddeffekt när köpet är negativt, annars PV-överskottet som inte får exporteras
+function negativeWindowEnergy_kWh(window, pvForecast) {
+  return window.reduce((sum, h) => {
+    const surplus_kW = gridChargePaid(h)
+      ? maxChargePower_kW
+      : Math.min(maxChargePower_kW, Math.max(0, pvForecastFor_kW(pvForecast, h) - expectedLoadForSlot(h)));
+    return sum + surplus_kW * slotHours(h) * chargeEff;
+  }, 0);
+}
 
-  return {
-    targetSoC: profitable ? targetSoC : null,
-    profitCheck: {
-      avgCheapTodayRemaining: round3(avgCheapTodayRemaining),
-      avgExpTomorrow: round3(avgExpTomorrow),
-      maxProfitableBuy: round3(maxProfitableBuy),
-      profitable
+// SoC-tak före varje fönster med negativt pris (ledigt utrymme), inget tak i själva fönstret
+function applyNegativePriceHeadroom(slots, pvForecast) {
+  if (!negativePrice.enabled || !negativePrice.headroom) return;
+  const summary = [];
+  let prevEnd = 0;
+  for (let i = 0; i < slots.length; i++) {
+    const neg = (h) => exportBlocked(h) || gridChargePaid(h);
+    if (!neg(slots[i])) continue;
+    let j = i;
+    while (j + 1 < slots.length && neg(slots[j + 1])) j++;
+    const window = slots.slice(i, j + 1);
+    for (const h of window) {
+      const b = slotBounds(h);
+      if (b) socCapOverrides.delete(b.startMs);
     }
-  };
+    const energy_kWh = negativeWindowEnergy_kWh(window, pvForecast);
+    const cap = Math.max(HARD_MIN_SOC, HARD_MAX_SOC - energy_kWh / batteryCapacity_kWh);
+    if (cap < HARD_MAX_SOC - 1e-6) {
+      for (let k = prevEnd; k < i; k++) setSocCapOverride(slots[k], cap);
+    }
+    summary.push({ från: slots[i].start, slottar: window.length, utrymme_kWh: round2(energy_kWh), tak_före: `${Math.round(cap*100)}%` });
+    prevEnd = j + 1;
+    i = j;
+  }
+  if (summary.length) console.log("🧊 Negativa priser:", summary);
 }
 
-// =================== PLANBYGGARE ===================
-function buildPlan(hours, classes, startSoc, avgBuyOfDay) {
-  const plan = [];
-  if (!Array.isArray(hours) || hours.length === 0) return plan;
+// Efterfilter: ingen export när säljpriset är negativt (urladdning begränsas till lasten)
+function applyNegativePrice(action, flows_kW, slot) {
+  if (!exportBlocked(slot) || action.mode !== "discharge") return action;
+  const load_gap_kW = Math.max(0, (flows_kW.load_kW || 0) - (flows_kW.prod_kW || 0));
+  if (action.power_kW <= load_gap_kW + 1e-6) return action;
+  if (load_gap_kW > 0) return { ...action, power_kW: round2(load_gap_kW), reason: `${action.reason} | negativt säljpris – ingen export` };
+  return { mode: "idle", power_kW: 0, reason: "NEGATIVT SÄLJPRIS: ingen export" };
+}
 
-  const initialSoc = clamp01(startSoc);
-  const midThreshold = (avgBuyOfDay || 0) * priceMidBias;
+// PV-överskott som ändå skulle exporteras vid negativt säljpris → rekommendera kapning. Exportgräns -1 = ingen gräns.
+function pvCurtailment(action, flows_kW, slot) {
+  if (!exportBlocked(slot)) return { recommended: false, exportLimit_W: -1, excess_kW: 0 };
+  const pv_surplus_kW = Math.max(0, (flows_kW.prod_kW || 0) - (flows_kW.load_kW || 0));
+  const absorbed_kW = action.mode === "charge" ? action.power_kW : 0;
+  const excess_kW = Math.max(0, pv_surplus_kW - absorbed_kW);
+  return { recommended: excess_kW > pvNoiseFloor_kW, exportLimit_W: 0, excess_kW: round2(excess_kW) };
+}
 
-  const hourMeta = hours.map(h => {
-    const key = h.start;
-    const inCheap  = classes.cheapSet.has(key);
-    const inTop10  = classes.expTop10.has(key);
-    const inNext30 = classes.expNext30.has(key);
-    const isMid    = !inCheap && !inTop10 && !inNext30;
-    const priceBuy = h.buy_SEK || 0;
-    const sell_SEK = Number.isFinite(h.sell_SEK) ? h.sell_SEK : 0;
-    const qualifiesMid = isMid && priceBuy >= midThreshold;
-    return { h, key, inCheap, inTop10, inNext30, isMid, qualifiesMid, priceBuy, sell_SEK };
-  });
+// =================== EFFEKTAVGIFT ===================
+// { month: "2026-10", hourStart: ms, hour_kWh, lastTs, peaks: [{ hour: ISO, kW }] }
+const PEAK_STATE_KEY = "battery_peak_state";
+let peakStateCached = null;
 
-  const dischargeCandidates = hourMeta.filter(meta => meta.inTop10 || meta.inNext30 || meta.qualifiesMid);
-  dischargeCandidates.sort((a, b) => b.sell_SEK - a.sell_SEK);
+function monthKey(date) {
+  const p = zonedParts(date);
+  return `${p.year}-${String(p.month).padStart(2, "0")}`;
+}
+function hourStartMs(date) {
+  return zonedHourStartMs(date);
+}
+function peakDayActive(date) {
+  if (!peakTariff.enabled) return false;
+  const p = zonedParts(date);
+  return peakTariff.months.includes(p.month) && peakTariff.weekdays.includes(p.weekday);
+}
+function inPeakWindow(date) {
+  if (!peakDayActive(date)) return false;
+  const h = zonedParts(date).hour;
+  return h >= peakTariff.fromHour && h < peakTariff.toHour;
+}
 
-  const totalStored_kWh = Math.max(0, (initialSoc - HARD_MIN_SOC) * batteryCapacity_kWh);
-  let remainingDeliverable_kWh = totalStored_kWh * dischargeEff;
-  const dischargeAllocation_kWh = new Map();
-  for (const cand of dischargeCandidates) {
-    if (remainingDeliverable_kWh <= 1e-6) break;
-    const alloc = Math.min(remainingDeliverable_kWh, maxDischargePower_kW);
-    if (alloc > 1e-6) {
-      dischargeAllocation_kWh.set(cand.key, alloc);
-      remainingDeliverable_kWh -= alloc;
-    }
+function loadPeakState(now = nowDate()) {
+  if (!peakStateCached) peakStateCached = loadState(PEAK_STATE_KEY, null);
+  if (!peakStateCached || peakStateCached.month !== monthKey(now)) {
+    peakStateCached = { month: monthKey(now), hourStart: hourStartMs(now), hour_kWh: 0, lastTs: null, peaks: [] };
   }
+  return peakStateCached;
+}
 
-  let soc = initialSoc;
-
-  for (const meta of hourMeta) {
-    const { h, key, inCheap, inTop10, inNext30, isMid, qualifiesMid, priceBuy } = meta;
+function addPeak(st, hourMs, kW) {
+  if (!inPeakWindow(hourMs) || kW <= 0) return;
+  const entry = { hour: new Date(hourMs).toISOString(), kW: round3(kW) };
+  if (peakTariff.onePerDay) {
+    const day = ymdString(new Date(hourMs));
+    const idx = st.peaks.findIndex(p => ymdString(new Date(p.hour)) === day);
+    if (idx >= 0) {
+      if (st.peaks[idx].kW < entry.kW) st.peaks[idx] = entry;
+      return;
+    }
+    st.peaks.push(entry);
+  } else {
+    st.peaks.push(entry);
+    st.peaks.sort((a, b) => b.kW - a.kW);
+    st.peaks = st.peaks.slice(0, peakTariff.topN);
+  }
+}
+
+// Integrera nätimport per klocktimme; avslutade timmar blir kandidater till månadens toppar
+function recordPeakSample(flows_kW, now = nowDate()) {
+  if (!peakTariff.enabled) return null;
+  const st = loadPeakState(now);
+  const t = new Date(now).getTime();
+  let from = (st.lastTs != null) ? Math.max(st.lastTs, t - ledgerMaxGap_h * 3600000) : t;
+  const import_kW = flows_kW.gridImport_kW || 0;
+  while (from < t) {
+    const hEnd = hourStartMs(from) + 3600000;
+    const to = Math.min(t, hEnd);
+    if (hourStartMs(from) !== st.hourStart) {
+      addPeak(st, st.hourStart, st.hour_kWh);
+      st.hourStart = hourStartMs(from);
+      st.hour_kWh = 0;
+    }
+    st.hour_kWh += import_kW * (to - from) / 3600000;
+    from = to;
+  }
+  if (hourStartMs(t) !== st.hourStart) {
+    addPeak(st, st.hourStart, st.hour_kWh);
+    st.hourStart = hourStartMs(t);
+    st.hour_kWh = 0;
+  }
+  st.lastTs = t;
+  saveState(PEAK_STATE_KEY, st);
+  return st;
+}
+
+function topPeaks(st = loadPeakState()) {
+  return [...st.peaks].sort((a, b) => b.kW - a.kW).slice(0, peakTariff.topN);
+}
+// Timmedel som inte höjer snittet av topp N (lägsta av topparna när månaden har N stycken)
+function peakThreshold_kW(st = loadPeakState()) {
+  const top = topPeaks(st);
+  if (top.length < peakTariff.topN) return Math.max(peakTariff.initialLimit_kW, ...top.map(p => p.kW));
+  return top[top.length - 1].kW;
+}
+function peakMonthAvg_kW(st = loadPeakState()) {
+  const top = topPeaks(st);
+  return top.length ? top.reduce((a, p) => a + p.kW, 0) / top.length : 0;
+}
+
+// Merkostnad (SEK) för en slots nätimport över nuvarande topp: höjer snittet av topp N med excess/N.
+// Toppen är ett timmedel, så slotten bidrar med sin andel av timmen (excess × slotlängd): en hel timme
+// kostar lika mycket med 15- som 60-minutersslottar, och en enstaka kvart räknas som en fjärdedel.
+// Optimeraren skickar in fönsterflagga och tröskel per slot (zonedParts är för dyr per övergång).
+function peakPenalty_SEK(slot, import_kW, inWindow = inPeakWindow(slot.start), threshold_kW = peakThreshold_kW()) {
+  if (!inWindow) return 0;
+  const excess = import_kW - (threshold_kW - peakTariff.margin_kW);
+  return excess > 0 ? excess * Math.min(1, slotHours(slot)) * peakTariff.fee_SEK_per_kW / peakTariff.topN : 0;
+}
+
+// Lägsta SoC för prisstyrd urladdning (buffert för topp-kapning under avgiftsdygn, överstyrd backup-reserv)
+function priceDischargeFloorSoC(date) {
+  const floor = peakDayActive(date) ? Math.max(HARD_MIN_SOC, peakTariff.reserveSoC) : HARD_MIN_SOC;
+  return Math.max(floor, overrideReserveSoC(date));
+}
+
+// Återstående del av klocktimmen (h), minst en minut
+function peakHourLeft_h(now = nowDate()) {
+  return Math.max(1 / 60, (hourStartMs(now) + 3600000 - new Date(now).getTime()) / 3600000);
+}
+
+// Tillåten nätimport (kW) resten av timmen så att timmedlet håller sig under tröskeln
+function peakImportAllowance_kW(now = nowDate()) {
+  if (!inPeakWindow(now)) return Infinity;
+  const st = loadPeakState(now);
+  const limit_kWh = peakThreshold_kW(st) - peakTariff.margin_kW; // 1 h × kW
+  const remaining_h = peakHourLeft_h(now);
+  const used_kWh = (st.hourStart === hourStartMs(now)) ? st.hour_kWh : 0;
+  return Math.max(0, (limit_kWh - used_kWh) / remaining_h);
+}
+
+// Efterfilter på realtidsbeslutet: begränsa nätladdning och kapa import över toppen med urladdning
+function applyPeakTariff(action, flows_kW, socNow, now = nowDate()) {
+  const allowed_kW = peakImportAllowance_kW(now);
+  if (!Number.isFinite(allowed_kW)) return action;
+
+  const pv_surplus_kW = Math.max(0, (flows_kW.prod_kW || 0) - (flows_kW.load_kW || 0));
+  const load_gap_kW   = Math.max(0, (flows_kW.load_kW || 0) - (flows_kW.prod_kW || 0));
+  const tag = `effekttak ${round2(allowed_kW)} kW`;
+
+  if (action.mode === "charge") {
+    const maxCharge_kW = pv_surplus_kW + Math.max(0, allowed_kW - load_gap_kW);
+    if (action.power_kW <= maxCharge_kW + 1e-6) return action;
+    if (maxCharge_kW > pvNoiseFloor_kW) {
+      return { mode: "charge", power_kW: round2(maxCharge_kW), reason: `${action.reason} | begränsad av ${tag}` };
+    }
+    return { mode: "idle", power_kW: 0, reason: `PEAK: ingen nätladdning (${tag})` };
+  }
+
+  const excess_kW = load_gap_kW - allowed_kW;
+  if (excess_kW <= 0) return action;
+  // Tillgänglig energi som effekt över resten av timmen (kapningen ska räcka tills timmedlet är satt)
+  const avail_kWh = Math.max(0, (socNow - Math.max(HARD_MIN_SOC, overrideReserveSoC(now))) * batteryCapacity_kWh);
+  const needed_kW = Math.min(excess_kW, dischargePowerLimit_kW(socNow), avail_kWh * dischargeEff / peakHourLeft_h(now));
+  const current_kW = action.mode === "discharge" ? action.power_kW : 0;
+  if (needed_kW <= current_kW + 1e-6) return action;
+  return { mode: "discharge", power_kW: round2(needed_kW), reason: `PEAK: kapar import över ${tag}` };
+}
+
+// =================== HUVUDSÄKRING ===================
+// Import över säkringen kostar så här mycket per kWh i planen (i praktiken förbjudet; vila är alltid möjlig)
+const FUSE_OVERLOAD_SEK_PER_KWH = 100;
+
+function fuseLimit_A() {
+  return mainFuse.rating_A - mainFuse.margin_A;
+}
+
+// Största nätimport (kW) med lasten jämnt fördelad över faserna; Infinity utan säkringsgräns
+function fuseImportLimit_kW() {
+  if (!mainFuse.enabled) return Infinity;
+  return fuseLimit_A() * mainFuse.voltage_V * mainFuse.phases / 1000;
+}
+
+// Faser (index 0–2) som växelriktaren laddar/urladdar på
+function batteryPhaseIdx() {
+  if (mainFuse.phases === 1) return [0];
+  return mainFuse.batteryPhases === 3 ? [0, 1, 2] : [mainFuse.batteryPhase - 1];
+}
+
+// Fasströmmar (A, + import / − export) utan batteriets bidrag. Uppmätta via argument L1_A/L2_A/L3_A,
+// annars lastgapet (last − PV) jämnt fördelat över faserna.
+function phaseCurrentsExclBattery(flows_kW, named = {}) {
+  const V = mainFuse.voltage_V;
+  const n = mainFuse.phases;
+  const measured = Array.from({ length: n }, (_, k) => Number(named[`L${k + 1}_A`]));
+  if (!measured.every(Number.isFinite)) {
+    const gap_kW = (flows_kW.load_kW || 0) - (flows_kW.prod_kW || 0);
+    return { currents: new Array(n).fill(gap_kW * 1000 / (n * V)), measured: false };
+  }
+  const battIdx = batteryPhaseIdx();
+  const batt_A = ((flows_kW.battCharge_kW || 0) - (flows_kW.battDischarge_kW || 0)) * 1000 / (battIdx.length * V);
+  return { currents: measured.map((a, k) => battIdx.includes(k) ? a - batt_A : a), measured: true };
+}
+
+// Säkringsläget nu: största laddeffekt som ryms, urladdning som krävs för att skydda säkringen
+// och ledigt utrymme för övriga laster (antas jämnt fördelade). null utan säkringsgräns.
+function fuseStatus(flows_kW, named = {}) {
+  if (!mainFuse.enabled) return null;
+  const { currents, measured } = phaseCurrentsExclBattery(flows_kW, named);
+  const limit_A = fuseLimit_A();
+  const battMax_A = Math.max(...batteryPhaseIdx().map(k => currents[k]));
+  const battKW_per_A = batteryPhaseIdx().length * mainFuse.voltage_V / 1000;
+  const maxPhase_A = Math.max(...currents);
+  return {
+    measured,
+    maxPhase_A: round2(maxPhase_A),
+    charge_kW: Math.max(0, (limit_A - battMax_A) * battKW_per_A),
+    protect_kW: Math.max(0, (battMax_A - limit_A) * battKW_per_A),
+    room_kW: Math.max(0, (limit_A - maxPhase_A) * mainFuse.phases * mainFuse.voltage_V / 1000),
+  };
+}
+
+// Efterfilter (sist i kedjan, även i fail-safe): laddning begränsas till utrymmet under säkringen;
+// närmar sig lasten ensam säkringen laddar batteriet ur oavsett pris (ner till hård min).
+function applyMainFuse(action, fuse, socNow, slotDur_h = 1) {
+  if (!fuse) return action;
+  const tag = `huvudsäkring ${mainFuse.rating_A} A, fas ${fuse.maxPhase_A} A`;
+  if (action.mode === "charge" && action.power_kW > fuse.charge_kW + 1e-6) {
+    if (fuse.charge_kW > pvNoiseFloor_kW) return { ...action, power_kW: round2(fuse.charge_kW), reason: `${action.reason} | begränsad av ${tag}` };
+    action = { mode: "idle", power_kW: 0, reason: `FUSE: ingen laddning (${tag})` };
+  }
+  if (fuse.protect_kW <= 0) return action;
+  // Tillgänglig energi som effekt över aktuell slot (till nästa beslut)
+  const avail_kWh = Math.max(0, (socNow - HARD_MIN_SOC) * batteryCapacity_kWh);
+  const needed_kW = Math.min(fuse.protect_kW, dischargePowerLimit_kW(socNow), avail_kWh * dischargeEff / slotDur_h);
+  const current_kW = action.mode === "discharge" ? action.power_kW : 0;
+  if (needed_kW <= current_kW + 1e-6) return action;
+  return { mode: "discharge", power_kW: round2(needed_kW), reason: `FUSE: urladdning skyddar säkringen (${tag})` };
+}
+
+// Flexibla lasters börvärden nu minskas (senast deadline först) så att de ryms under säkringen
+// tillsammans med batteriets beslut. Lasternas nuvarande effekt ingår redan i mätningen.
+function clampFlexToFuse(flexPlan, flexLoads, fuse, batterySigned_kW) {
+  if (!fuse || !flexPlan.length) return;
+  const running_kW = flexLoads.reduce((a, l) => a + l.running_kW, 0);
+  let excess_kW = flexPlan.reduce((a, f) => a + f.power_kW, 0) - (fuse.room_kW + running_kW - batterySigned_kW);
+  const order = flexPlan.map((_, i) => i).sort((a, b) => flexLoads[b].deadlineMs - flexLoads[a].deadlineMs);
+  for (const i of order) {
+    if (excess_kW <= 1e-6) break;
+    const f = flexPlan[i];
+    let p = Math.max(0, f.power_kW - excess_kW);
+    if (p < flexLoads[i].minPower_kW) p = 0;
+    excess_kW -= f.power_kW - p;
+    f.power_kW = round2(p);
+  }
+}
+
+// =================== SLITAGE ===================
+// Kostnad (SEK) per kWh som tas ur batteriet, givet SoC efter urladdningen (djupare → dyrare i cykelmodellen)
+function interpolateCurve(points, x) {
+  const pts = [...points].sort((a, b) => a[0] - b[0]);
+  if (!pts.length) return 1;
+  if (x <= pts[0][0]) return pts[0][1];
+  for (let i = 1; i < pts.length; i++) {
+    if (x <= pts[i][0]) {
+      const [x0, y0] = pts[i - 1];
+      const [x1, y1] = pts[i];
+      return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+    }
+  }
+  return pts[pts.length - 1][1];
+}
+function wearCost_SEK_per_kWh(socAfter = HARD_MIN_SOC) {
+  if (degradation.model === "throughput") return degradation.cost_SEK_per_kWh;
+  if (degradation.model === "cycle") {
+    const dod = clamp01(1 - socAfter);
+    return degradation.cost_SEK_per_cycle / batteryCapacity_kWh * interpolateCurve(degradation.dodCurve, dod);
+  }
+  return 0;
+}
+// Lönar sig urladdning? Värdet per levererad kWh ska täcka ersättningsköp (via verkningsgrad) + slitage.
+function dischargeWorthIt(value_SEK, refBuy_SEK, socAfter) {
+  return value_SEK >= refBuy_SEK / roundTripEff + wearCost_SEK_per_kWh(socAfter) / dischargeEff;
+}
+
+// Ackumulerad genomströmning från mätt battery_flow_W (persistent)
+const WEAR_STATE_KEY = "battery_wear_state";
+function recordWear(flows_kW, socNow, now = nowDate()) {
+  const st = loadState(WEAR_STATE_KEY, null) || { charged_kWh: 0, discharged_kWh: 0, cost_SEK: 0, lastTs: null };
+  const t = new Date(now).getTime();
+  if (st.lastTs != null) {
+    const dt_h = Math.min(ledgerMaxGap_h, Math.max(0, (t - st.lastTs) / 3600000));
+    const out_kWh = (flows_kW.battDischarge_kW || 0) * dt_h;
+    st.charged_kWh = round3(st.charged_kWh + (flows_kW.battCharge_kW || 0) * dt_h);
+    st.discharged_kWh = round3(st.discharged_kWh + out_kWh);
+    st.cost_SEK = round3(st.cost_SEK + out_kWh * wearCost_SEK_per_kWh(socNow));
+  }
+  st.lastTs = t;
+  saveState(WEAR_STATE_KEY, st);
+  return { ...st, cycles: st.discharged_kWh / batteryCapacity_kWh };
+}
+
+// =================== EFFEKTKURVOR ===================
+// Effekttak som funktion av SoC och verkningsgrad som funktion av effekt (batteryCurves).
+// Utan kurvor: konstant maxeffekt och nominell verkningsgrad, och integreringen blir ett enda steg.
+const curveFactor = (points, x) => points.length ? Math.max(0, interpolateCurve(points, x)) : 1;
+
+function chargePowerLimit_kW(soc, rated_kW = maxChargePower_kW) {
+  return rated_kW * curveFactor(batteryCurves.chargePower, soc);
+}
+function dischargePowerLimit_kW(soc, rated_kW = maxDischargePower_kW) {
+  return rated_kW * curveFactor(batteryCurves.dischargePower, soc);
+}
+
+// Verkningsgrad en väg vid effekten p_kW (andel av maxeffekten); unit = enhet i flottan i stället för sitens summa
+function chargeEffAt(p_kW, unit = null) {
+  const pts = batteryCurves.chargeEfficiency;
+  const rated_kW = unit ? unit.maxCharge_kW : maxChargePower_kW;
+  if (pts.length && rated_kW > 0) return interpolateCurve(pts, p_kW / rated_kW);
+  return unit ? Math.sqrt(unit.roundTripEff) : chargeEff;
+}
+function dischargeEffAt(p_kW, unit = null) {
+  const pts = batteryCurves.dischargeEfficiency;
+  const rated_kW = unit ? unit.maxDischarge_kW : maxDischargePower_kW;
+  if (pts.length && rated_kW > 0) return interpolateCurve(pts, p_kW / rated_kW);
+  return unit ? Math.sqrt(unit.roundTripEff) : dischargeEff;
+}
+
+// Delsteg om 5 min när effekttaket eller verkningsgraden varierar
+function integrationSteps(dur_h) {
+  const varies = Object.values(batteryCurves).some(pts => pts.length);
+  return varies ? Math.max(1, Math.ceil(dur_h * 12 - 1e-9)) : 1;
+}
+
+// Laddning med begärd effekt p_kW (nätsida) under dur_h, högst till ceil → { soc, grid_kWh, stored_kWh }
+// unit (valfri) = enhet i flottan: dess märkeffekt och verkningsgrad gäller
+function integrateCharge(soc, p_kW, dur_h, ceil = HARD_MAX_SOC, cap_kWh = batteryCapacity_kWh, unit = null) {
+  const n = integrationSteps(dur_h);
+  let grid_kWh = 0, stored_kWh = 0;
+  for (let k = 0; k < n && p_kW > 0 && soc < ceil - 1e-9; k++) {
+    const p = Math.min(p_kW, unit ? chargePowerLimit_kW(soc, unit.maxCharge_kW) : chargePowerLimit_kW(soc));
+    if (p <= 1e-9) break;
+    const eff = chargeEffAt(p, unit);
+    const s = Math.min(p * dur_h / n * eff, (ceil - soc) * cap_kWh);
+    grid_kWh += s / eff;
+    stored_kWh += s;
+    soc += s / cap_kWh;
+  }
+  return { soc, grid_kWh, stored_kWh };
+}
+
+// Urladdning med begärd effekt p_kW (levererad) under dur_h, högst ned till floor → { soc, out_kWh, taken_kWh }
+function integrateDischarge(soc, p_kW, dur_h, floor = HARD_MIN_SOC, cap_kWh = batteryCapacity_kWh, unit = null) {
+  const n = integrationSteps(dur_h);
+  let out_kWh = 0, taken_kWh = 0;
+  for (let k = 0; k < n && p_kW > 0 && soc > floor + 1e-9; k++) {
+    const p = Math.min(p_kW, unit ? dischargePowerLimit_kW(soc, unit.maxDischarge_kW) : dischargePowerLimit_kW(soc));
+    if (p <= 1e-9) break;
+    const eff = dischargeEffAt(p, unit);
+    const t = Math.min(p * dur_h / n / eff, (soc - floor) * cap_kWh);
+    out_kWh += t * eff;
+    taken_kWh += t;
+    soc -= t / cap_kWh;
+  }
+  return { soc, out_kWh, taken_kWh };
+}
+
+// Nätsidans energi för en lagrad energiförändring (+ laddning / − urladdning), verkningsgrad vid slottens medeleffekt
+function gridEnergy_kWh(dStored_kWh, dur_h) {
+  if (dStored_kWh > 0) return dStored_kWh / chargeEffAt(dStored_kWh / chargeEff / dur_h);
+  if (dStored_kWh < 0) return dStored_kWh * dischargeEffAt(-dStored_kWh * dischargeEff / dur_h);
+  return 0;
+}
+
+// =================== FLEXIBLA LASTER ===================
+// Per last: { deadline, deadlineMs, delivered_kWh, ts, power_kW } – levererad energi integreras mellan körningarna
+const FLEX_STATE_KEY = "battery_flex_state";
+// Schemalagd flexibel last per slot: start(ms) → kW (medel över slotten). Ingår i expectedLoadForSlot,
+// så batteriplanen (DP och percentil) ser lasterna och täcker dem i dyra slottar.
+const flexLoadSchedule = new Map();
+
+function flexLoadFor_kW(slot) {
+  const b = slotBounds(slot);
+  return b ? (flexLoadSchedule.get(b.startMs) || 0) : 0;
+}
+
+// Nästa tidpunkt (ms) då lokal klocktid "HH:MM" inträffar efter `now`
+function nextDeadlineMs(hhmm, now = nowDate()) {
+  const [h, mi] = hhmm.split(":").map(Number);
+  const p = zonedParts(now);
+  const t = zonedTime(p.year, p.month, p.day, h, mi).getTime();
+  return t > new Date(now).getTime() ? t : zonedTime(p.year, p.month, p.day + 1, h, mi).getTime();
+}
+
+// Levererad energi och period per last. Namngivna argument: flex_<id>_W = uppmätt effekt, flex_<id>_kWh = behov denna period.
+// Utan mätning antas lasten ha gått med förra körningens börvärde. Perioden börjar om när deadline passerats.
+function updateFlexLoads(named = {}, now = nowDate()) {
+  const st = loadState(FLEX_STATE_KEY, {}) || {};
+  const t = new Date(now).getTime();
+  return (flexibleLoads || []).map(f => {
+    const prev = st[f.id] || {};
+    const measured_W = Number(named[`flex_${f.id}_W`]);
+    const running_kW = Number.isFinite(measured_W) ? Math.max(0, measured_W / 1000) : (prev.power_kW || 0);
+    let delivered_kWh = prev.delivered_kWh || 0;
+    if (prev.ts != null && t > prev.ts) delivered_kWh += running_kW * Math.min(ledgerMaxGap_h, (t - prev.ts) / 3600000);
+    let deadlineMs = prev.deadline === f.deadline ? prev.deadlineMs : nextDeadlineMs(f.deadline, prev.ts ?? now);
+    if (deadlineMs == null || t >= deadlineMs) {
+      deadlineMs = nextDeadlineMs(f.deadline, now);
+      delivered_kWh = 0;
+    }
+    const needArg = Number(named[`flex_${f.id}_kWh`]);
+    const requirement_kWh = Number.isFinite(needArg) && needArg >= 0 ? needArg : f.energy_kWh;
+    return {
+      id: f.id,
+      deadline: f.deadline,
+      deadlineMs,
+      minPower_kW: f.minPower_kW ?? 0,
+      maxPower_kW: f.maxPower_kW,
+      requirement_kWh,
+      delivered_kWh: round3(delivered_kWh),
+      remaining_kWh: Math.max(0, requirement_kWh - delivered_kWh),
+      running_kW,
+    };
+  });
+}
+
+function saveFlexState(loads, schedule, now = nowDate()) {
+  const st = {};
+  loads.forEach((l, i) => {
+    st[l.id] = { deadline: l.deadline, deadlineMs: l.deadlineMs, delivered_kWh: l.delivered_kWh, ts: new Date(now).getTime(), power_kW: schedule[i]?.power_kW || 0 };
+  });
+  saveState(FLEX_STATE_KEY, st);
+}
+
+// Schemalägg lasterna (tidigast deadline först) i slottarna före deadline, billigast först.
+// Slotpris = säljpris för den del som täcks av förväntat PV-överskott, köppris för resten; i avgiftsfönstret
+// används bara utrymmet under effekttoppen så länge behovet kan klaras ändå (lasterna konkurrerar med nätladdningen).
+// Huvudsäkringen (förväntad last + flexibla laster) överskrids aldrig.
+// Deadline bortom kända priser: det som hinns med efter horisonten läggs bara i slottar under horisontens snittpris.
+// Fyller flexLoadSchedule; returnerar per last { id, power_kW (nu), slots: [{ start, power_kW }], shortfall_kWh }.
+function scheduleFlexLoads(loads, slots, pvForecast, now = nowDate()) {
+  flexLoadSchedule.clear();
+  const nowMs = new Date(now).getTime();
+  const baseLoad = slots.map(h => expectedLoad_kW(h.start));
+  const pvFree = slots.map((h, i) => Math.max(0, pvForecastFor_kW(pvForecast, h) - baseLoad[i]));
+  const peakRoom = slots.map((h, i) => inPeakWindow(h.start) ? Math.max(0, peakThreshold_kW() - peakTariff.margin_kW - baseLoad[i]) : Infinity);
+  const fuseRoom = slots.map((h, i) => Math.max(0, fuseImportLimit_kW() - baseLoad[i])); // huvudsäkringen gäller alltid
+  const horizonEndMs = slots.length ? new Date(slots[slots.length - 1].end).getTime() : nowMs;
+  const avgBuyHorizon = avgBuy(slots);
+  const total_kWh = slots.map(() => 0);
+
+  const out = loads.map(l => ({ load: l }));
+  const order = out.slice().sort((a, b) => a.load.deadlineMs - b.load.deadlineMs);
+  for (const o of order) {
+    const l = o.load;
+    const power = slots.map(() => 0);
+    const usable_h = slots.map(h => Math.min(slotHours(h), Math.max(0, (l.deadlineMs - Math.max(new Date(h.start).getTime(), nowMs)) / 3600000)));
+    const priceAt = (i) => {
+      const pv = Math.min(l.maxPower_kW, pvFree[i]);
+      return (pv * (slots[i].sell_SEK || 0) + (l.maxPower_kW - pv) * (slots[i].buy_SEK || 0)) / l.maxPower_kW;
+    };
+    const candidates = slots.map((_, i) => i).filter(i => usable_h[i] > 1e-6).sort((a, b) => priceAt(a) - priceAt(b) || a - b);
+
+    let remaining_kWh = l.remaining_kWh;
+    const later_kWh = Math.max(0, (l.deadlineMs - horizonEndMs) / 3600000) * l.maxPower_kW;
+    const fill = (limit_kWh, maxPrice, respectPeak) => {
+      for (const i of candidates) {
+        if (limit_kWh <= 1e-6) break;
+        if (priceAt(i) > maxPrice) continue;
+        const room_kW = Math.min(l.maxPower_kW, fuseRoom[i] + power[i], respectPeak ? Math.max(0, peakRoom[i]) + power[i] : Infinity) - power[i];
+        let p = Math.min(room_kW, limit_kWh / usable_h[i]);
+        if (power[i] + p < l.minPower_kW - 1e-9) {
+          if (power[i] + room_kW < l.minPower_kW - 1e-9) continue;
+          p = l.minPower_kW - power[i]; // under minsta effekt går inte → kör på minsta effekt
+        }
+        if (p <= 1e-6) continue;
+        power[i] += p;
+        if (Number.isFinite(peakRoom[i])) peakRoom[i] -= p;
+        if (Number.isFinite(fuseRoom[i])) fuseRoom[i] -= p;
+        limit_kWh -= p * usable_h[i];
+        remaining_kWh -= p * usable_h[i];
+      }
+    };
+    const forced_kWh = Math.max(0, remaining_kWh - later_kWh);
+    fill(forced_kWh, Infinity, true);
+    if (remaining_kWh > later_kWh + 1e-6) fill(remaining_kWh - later_kWh, Infinity, false); // deadline går före effekttoppen
+    if (remaining_kWh > 1e-6) fill(remaining_kWh, avgBuyHorizon, true);
+
+    power.forEach((p, i) => {
+      if (p <= 0) return;
+      pvFree[i] = Math.max(0, pvFree[i] - p);
+      total_kWh[i] += p * usable_h[i];
+    });
+    const current = slots.length && new Date(slots[0].start).getTime() <= nowMs ? power[0] : 0;
+    o.power_kW = round2(current);
+    o.slots = power.map((p, i) => ({ start: slots[i].start, power_kW: round2(p) })).filter(s => s.power_kW > 0);
+    o.shortfall_kWh = round2(Math.max(0, remaining_kWh - later_kWh));
+  }
+  slots.forEach((h, i) => {
+    const b = slotBounds(h);
+    if (b && total_kWh[i] > 0) flexLoadSchedule.set(b.startMs, total_kWh[i] / slotHours(h));
+  });
+  return out.map(({ load: l, power_kW, slots: rows, shortfall_kWh }) => ({
+    id: l.id, power_kW, remaining_kWh: round2(l.remaining_kWh), deadline: new Date(l.deadlineMs).toISOString(), shortfall_kWh, slots: rows,
+  }));
+}
+
+// Efterfilter: flexibel last som går i en dyr slot ska inte importera – batteriet täcker den (aldrig export).
+// Gäller bara när beslutet är vila (inte tvingad vila); laddning och pågående urladdning lämnas orörda.
+function applyFlexLoadCover(action, flows_kW, socNow, flexNow_kW, priceNowState, refBuy) {
+  if (!(flexNow_kW > 0) || action.mode !== "idle" || action.forced || priceNowState.stale) return action;
+  if (!priceNowState.inTop10 && !priceNowState.inNext30) return action;
+  if (!dischargeWorthIt(priceNowState.price, refBuy, socNow)) return action;
+  const load_gap_kW = Math.max(0, (flows_kW.load_kW || 0) - (flows_kW.prod_kW || 0));
+  const floor = priceDischargeFloorSoC(nowDate());
+  const avail_kW = Math.max(0, (socNow - floor) * batteryCapacity_kWh * dischargeEff / (priceNowState.duration_h || 1));
+  const p = Math.min(load_gap_kW, flexNow_kW, avail_kW, dischargePowerLimit_kW(socNow));
+  if (p <= 0.01) return action;
+  return { mode: "discharge", power_kW: round2(p), reason: `FLEX: batteriet täcker flexibel last ${round2(flexNow_kW)} kW i dyr slot – ${action.reason}` };
+}
+
+// =================== ÖVERSTYRNING ===================
+// Aktiva överstyrningar: { key, type, mode, power_kW, soc, fromMs, untilMs, source }. Tiderna låses första gången en
+// överstyrning ses (samma text i samma källa → samma period), så "HH:MM" flyttar aldrig fram och allt upphör av sig självt.
+// En ny period kräver ändrad text, eller att källan töms en körning.
+// Reserven gäller plan, realtid, effekttopp och fail-safe; huvudsäkringens skyddsurladdning går ändå ner till hård min.
+const OVERRIDE_KEY = "battery_override";
+const OVERRIDE_STATE_KEY = "battery_override_state";
+const OVERRIDE_CLOCK_RE = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const OVERRIDE_SHORTFALL_SEK_PER_KWH = 100; // saknad energi mot reserv/mål i planen (i praktiken förbjudet)
+let activeOverrides = [];
+
+// Fält per överstyrning (tider = lokal "HH:MM" eller ISO)
+const OVERRIDE_SCHEMA = {
+  type:     { type: "string", enum: ["force", "reserve", "target"] },
+  mode:     { type: "string", enum: ["charge", "discharge", "idle"] },
+  power_kW: { type: "number", min: 0 },
+  soc:      { type: "number", min: 0, max: 1 },
+  from:     { type: "string" },
+  until:    { type: "string" },
+  by:       { type: "string" },
+};
+
+function validateOverride(o, path) {
+  if (!isPlainObject(o)) return [`${path}: förväntade ett objekt`];
+  const errors = [];
+  for (const [k, v] of Object.entries(o)) {
+    if (!OVERRIDE_SCHEMA[k]) errors.push(`${path}.${k}: okänd nyckel`);
+    else checkValue(`${path}.${k}`, v, OVERRIDE_SCHEMA[k], errors);
+  }
+  const required = { force: ["mode"], reserve: ["soc"], target: ["soc", "by"] }[o.type] || [];
+  for (const k of ["type", ...required]) if (o[k] == null) errors.push(`${path}.${k}: saknas`);
+  for (const k of ["from", "until", "by"]) {
+    if (typeof o[k] === "string" && !OVERRIDE_CLOCK_RE.test(o[k]) && !Number.isFinite(new Date(o[k]).getTime())) {
+      errors.push(`${path}.${k}: förväntade "HH:MM" eller ISO-tid (fick ${JSON.stringify(o[k])})`);
+    }
+  }
+  return errors;
+}
+
+// "HH:MM" → nästa tillfälle efter afterMs, annars ISO-tid
+function overrideTimeMs(s, afterMs) {
+  return OVERRIDE_CLOCK_RE.test(s) ? nextDeadlineMs(s, afterMs) : new Date(s).getTime();
+}
+
+// Perioden [fromMs, untilMs): "from" som klocktid = dagens tillfälle (gäller direkt om det passerats), men ligger hela
+// perioden redan bakom oss menas nästa dygn. Sluttid (until, för mål by) efter start; saknas den gäller maxDuration_h.
+function resolveOverride(o, source, now = nowDate()) {
+  const t = new Date(now).getTime();
+  const endAfter = (fromMs) => {
+    const end = o.type === "target" ? o.by : o.until;
+    return Math.min(end != null ? overrideTimeMs(end, fromMs) : Infinity, fromMs + overrides.maxDuration_h * 3600000);
+  };
+  let fromMs = o.from != null ? overrideTimeMs(o.from, zonedDayStart(now).getTime() - 1) : t;
+  let untilMs = endAfter(fromMs);
+  if (o.from != null && OVERRIDE_CLOCK_RE.test(o.from) && untilMs <= t) {
+    fromMs = overrideTimeMs(o.from, t);
+    untilMs = endAfter(fromMs);
+  }
+  return {
+    type: o.type,
+    mode: o.mode ?? null,
+    power_kW: o.power_kW ?? null,
+    soc: o.soc != null ? Math.min(HARD_MAX_SOC, Math.max(HARD_MIN_SOC, o.soc)) : null,
+    fromMs,
+    untilMs,
+    source,
+  };
+}
+
+// Överstyrningar från global, tagg och argument override=… (listorna läggs ihop). Ogiltiga poster ignoreras med fel.
+// Sätter activeOverrides; returnerar { active, expired, errors }.
+async function loadOverrides(named = {}, profile = "", now = nowDate()) {
+  activeOverrides = [];
+  if (!overrides.enabled) return { active: [], expired: 0, errors: [] };
+  const key = profile ? `${OVERRIDE_KEY}_${profile}` : OVERRIDE_KEY;
+  const errors = [];
+  const layers = [];
+  if (homeyGlobalAvailable()) layers.push(["global", global.get(key)]);
+  try { layers.push(["tagg", await readConfigTag(key)]); }
+  catch (e) { console.log("ℹ️ Överstyrnings-tagg kunde inte läsas:", String(e)); }
+  if (named.override) layers.push(["argument", named.override]);
+
+  const list = [];
+  for (const [source, raw] of layers) {
+    if (raw == null || raw === "") continue;
+    let v = raw;
+    if (typeof raw === "string") {
+      try { v = JSON.parse(raw); }
+      catch (e) { errors.push(`${source} ${key}: ogiltig JSON (${e.message})`); continue; }
+    }
+    if (v == null) continue;
+    (Array.isArray(v) ? v : [v]).forEach((o, i) => {
+      const errs = validateOverride(o, `${source} ${key}[${i}]`);
+      if (errs.length) errors.push(...errs);
+      else list.push({ key: `${source}:${JSON.stringify(o)}`, o, source });
+    });
+  }
+
+  const t = new Date(now).getTime();
+  const st = loadState(OVERRIDE_STATE_KEY, null) || {};
+  const locked = new Map((st.entries || []).map(e => [e.key, e]));
+  const entries = list.map(({ key, o, source }) => locked.get(key) || { key, ...resolveOverride(o, source, now) });
+  saveState(OVERRIDE_STATE_KEY, { entries });
+  activeOverrides = entries.filter(e => e.untilMs > t);
+  return { active: activeOverrides, expired: entries.length - activeOverrides.length, errors };
+}
+
+function overridesAt(date, type) {
+  const t = new Date(date).getTime();
+  return activeOverrides.filter(o => o.type === type && o.fromMs <= t && t < o.untilMs);
+}
+
+// Backup-reserv vid tidpunkten (0 = ingen)
+function overrideReserveSoC(date) {
+  return Math.max(0, ...overridesAt(date, "reserve").map(o => o.soc));
+}
+
+// SoC som överstyrningarna kräver nu eller inom kort (reserv + mål som inte passerats) – SoC-taket höjs dit
+function overrideSocAt(date) {
+  return Math.max(overrideReserveSoC(date), ...overridesAt(date, "target").map(o => o.soc));
+}
+
+// Tvingat läge i slotten (senast givna vinner): { mode, power_kW, share = andel av slotten, untilMs } eller null.
+// Aktuell slot är förkortad till återstående tid → räknas bakåt från slutet.
+function overrideForceFor(slot) {
+  const endMs = new Date(slot?.end).getTime();
+  if (!Number.isFinite(endMs)) return null;
+  const startMs = endMs - slotHours(slot) * 3600000;
+  const f = activeOverrides.filter(o => o.type === "force" && o.fromMs < endMs && o.untilMs > startMs).pop();
+  if (!f) return null;
+  const share = (Math.min(endMs, f.untilMs) - Math.max(startMs, f.fromMs)) / (endMs - startMs);
+  return { mode: f.mode, power_kW: f.power_kW, share, untilMs: f.untilMs };
+}
+
+// Lägsta SoC vid slottens slut (null = inget krav): reserv i slottar som överlappar den,
+// mål i sista slotten som slutar senast vid måltiden (första slotten om målet ligger i den)
+function overrideSocMinimums(slots) {
+  const need = slots.map(() => null);
+  const ends = slots.map(h => new Date(h.end).getTime());
+  const put = (i, soc) => { need[i] = Math.max(need[i] ?? 0, soc); };
+  for (const o of activeOverrides) {
+    if (o.type === "reserve") {
+      slots.forEach((h, i) => { if (ends[i] > o.fromMs && ends[i] - slotHours(h) * 3600000 < o.untilMs) put(i, o.soc); });
+    } else if (o.type === "target") {
+      let k = -1;
+      ends.forEach((e, i) => { if (e <= o.untilMs + 1000) k = i; });
+      if (k < 0 && slots.length && ends[0] - slotHours(slots[0]) * 3600000 < o.untilMs) k = 0;
+      if (k >= 0) put(k, o.soc);
+    }
+  }
+  return need;
+}
+
+// Percentilplanen: laddning (kW per slotindex) som krävs för reserv/mål, i billigaste slottar före kravet
+function overrideChargeSlots(slots, startSoc) {
+  const out = new Map();
+  let stored_kWh = 0;
+  overrideSocMinimums(slots).forEach((req, k) => {
+    if (req == null) return;
+    let deficit_kWh = (req - startSoc) * batteryCapacity_kWh - stored_kWh;
+    const candidates = slots.slice(0, k + 1).map((h, i) => ({ h, i }))
+      .filter(c => !out.has(c.i) && !overrideForceFor(c.h))
+      .sort((a, b) => (a.h.buy_SEK || 0) - (b.h.buy_SEK || 0));
+    for (const { h, i } of candidates) {
+      if (deficit_kWh <= 1e-6) break;
+      const dur_h = slotHours(h);
+      const kWh = Math.min(deficit_kWh, maxChargePower_kW * dur_h * chargeEff);
+      out.set(i, kWh / chargeEff / dur_h);
+      deficit_kWh -= kWh;
+      stored_kWh += kWh;
+    }
+  });
+  return out;
+}
+
+// Lokal tid för visning: "HH:MM" samma dygn som ref, annars "YYYY-MM-DD HH:MM"
+function overrideClock(ms, ref = nowDate()) {
+  const p = zonedParts(ms);
+  const hm = `${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")}`;
+  return ymdString(ms) === ymdString(ref) ? hm : `${ymdString(ms)} ${hm}`;
+}
+
+// Aktiva och kommande överstyrningar med sluttid, för battery_reason och taggen battery_override
+function overrideSummary(now = nowDate()) {
+  const t = new Date(now).getTime();
+  return activeOverrides.map(o => {
+    const when = o.fromMs > t ? `${overrideClock(o.fromMs, now)}–${overrideClock(o.untilMs, o.fromMs)}` : `till ${overrideClock(o.untilMs, now)}`;
+    if (o.type === "force") return `TVINGAD ${{ charge: "laddning", discharge: "urladdning", idle: "vila" }[o.mode]}${o.power_kW != null ? ` ${o.power_kW} kW` : ""} ${when}`;
+    if (o.type === "reserve") return `RESERV ${Math.round(o.soc * 100)}% ${when}`;
+    return `MÅL ${Math.round(o.soc * 100)}% senast ${overrideClock(o.untilMs, now)}`;
+  }).join("; ");
+}
+
+// =================== PLANBYGGARE ===================
+function buildPlan(hours, classes, startSoc, avgBuyOfDay) {
+  const plan = [];
+  if (!Array.isArray(hours) || hours.length === 0) return plan;
+
+  const initialSoc = clamp01(startSoc);
+  const midThreshold = (avgBuyOfDay || 0) * priceMidBias;
+  // Referenser för slitage-/spreadkontroll: billigaste ersättningsköp och bästa senare urladdningsvärde
+  const minBuy = Math.min(...hours.map(h => h.buy_SEK || 0));
+  const maxBuyAfter = new Array(hours.length).fill(-Infinity);
+  for (let i = hours.length - 2; i >= 0; i--) maxBuyAfter[i] = Math.max(maxBuyAfter[i + 1], hours[i + 1].buy_SEK || 0);
+  const chargeWorthIt = (i, priceBuy) => dischargeWorthIt(maxBuyAfter[i], priceBuy, HARD_MIN_SOC);
+  // Överstyrning: laddning som reserv/mål kräver (utöver billiga slottar)
+  const overrideCharge_kW = overrideChargeSlots(hours, initialSoc);
+
+  const hourMeta = hours.map((h, i) => {
+    const key = h.start;
+    const inCheap  = classes.cheapSet.has(key);
+    const inTop10  = classes.expTop10.has(key);
+    const inNext30 = classes.expNext30.has(key);
+    const isMid    = !inCheap && !inTop10 && !inNext30;
+    const priceBuy = h.buy_SEK || 0;
+    const sell_SEK = Number.isFinite(h.sell_SEK) ? h.sell_SEK : 0;
+    const qualifiesMid = isMid && priceBuy >= midThreshold && dischargeWorthIt(priceBuy, minBuy, HARD_MIN_SOC);
+    const worthDischarge = (inTop10 && !exportBlocked(h)) ? dischargeWorthIt(sell_SEK, minBuy, HARD_MIN_SOC) : dischargeWorthIt(priceBuy, minBuy, HARD_MIN_SOC);
+    const dur_h = slotHours(h);
+    // Sälj får exportera (full effekt); shave/mid begränsas till förväntad last
+    const dischargeLimit_kW = (inTop10 && !exportBlocked(h)) ? maxDischargePower_kW : Math.min(maxDischargePower_kW, expectedLoadForSlot(h));
+    const canCharge = (inCheap && chargeWorthIt(i, priceBuy)) || gridChargePaid(h);
+    return { h, key, inCheap, canCharge, inTop10, inNext30, isMid, qualifiesMid, worthDischarge, priceBuy, sell_SEK, dur_h, dischargeLimit_kW };
+  });
+
+  // Lagrad energi fördelas per segment mellan laddtillfällen: vid segmentets start går
+  // tillgänglig energi till segmentets mest värdefulla urladdningsslottar (batteriet fylls sedan på igen).
+  const dischargeAllocation_kWh = new Map();
+  const allocateSegment = (fromIdx, socAtStart) => {
+    const segment = [];
+    for (let i = fromIdx; i < hourMeta.length && !hourMeta[i].canCharge; i++) segment.push(hourMeta[i]);
+    const candidates = segment
+      .filter(meta => (meta.inTop10 || meta.inNext30 || meta.qualifiesMid) && meta.worthDischarge)
+      .sort((a, b) => b.sell_SEK - a.sell_SEK);
+    // Levererad energi per slot med verkningsgraden vid slottens effekt
+    let remainingStored_kWh = Math.max(0, (socAtStart - HARD_MIN_SOC) * batteryCapacity_kWh);
+    for (const cand of candidates) {
+      if (remainingStored_kWh <= 1e-6) break;
+      const eff = dischargeEffAt(cand.dischargeLimit_kW);
+      const alloc = Math.min(remainingStored_kWh * eff, cand.dischargeLimit_kW * cand.dur_h);
+      if (alloc > 1e-6) {
+        dischargeAllocation_kWh.set(cand.key, alloc);
+        remainingStored_kWh -= alloc / eff;
+      }
+    }
+  };
+
+  let soc = initialSoc;
+
+  for (let idx = 0; idx < hourMeta.length; idx++) {
+    const meta = hourMeta[idx];
+    const { h, key, canCharge, inTop10, inNext30, isMid, qualifiesMid, priceBuy, dur_h, dischargeLimit_kW } = meta;
+    if (!canCharge && (idx === 0 || hourMeta[idx - 1].canCharge)) allocateSegment(idx, soc);
     const dt = new Date(h.start);
-    const cap = capSoCForHour(dt);
+    const cap = capSoCAt(dt);
     const price = priceBuy;
     const allocated_kWh = dischargeAllocation_kWh.get(key) || 0;
 
     let decision = "idle";
     let power_kW = 0;
-
-    if (inCheap) {
-      // Ladda mot cap (import OK i cheap)
-      const room_kWh = Math.max(0, (cap - soc) * batteryCapacity_kWh);
-      const toStore_kWh = Math.min(room_kWh, maxChargePower_kW * chargeEff);
-      power_kW = round2(toStore_kWh / chargeEff);
+    let step = null; // integrerad slot (effekttak per SoC, verkningsgrad per effekt)
+
+    // Kommande mål/reserv får inte laddas ur i förväg
+    const floorSoC = Math.max(priceDischargeFloorSoC(dt), overrideSocAt(dt));
+    const force = overrideForceFor(h);
+    const mustCharge_kW = overrideCharge_kW.get(idx) || 0;
+    if (force) {
+      // Överstyrning: tvingat läge under sin andel av slotten (hårda gränser och backup-reserven gäller)
+      if (force.mode === "charge") {
+        const p_kW = Math.min(force.power_kW ?? maxChargePower_kW, maxChargePower_kW) * force.share;
+        step = integrateCharge(soc, p_kW, dur_h);
+        power_kW = round2(step.grid_kWh / dur_h);
+        if (power_kW > 0.01) decision = "charge";
+      } else if (force.mode === "discharge") {
+        const p_kW = Math.min(force.power_kW ?? maxDischargePower_kW, maxDischargePower_kW) * force.share;
+        step = integrateDischarge(soc, p_kW, dur_h, priceDischargeFloorSoC(dt));
+        power_kW = round2(step.out_kWh / dur_h);
+        if (power_kW > 0.01) decision = "discharge_sell";
+      }
+    } else if (canCharge || mustCharge_kW > 0) {
+      // Ladda mot cap (import OK i cheap), men inte över effekttoppen i avgiftsfönstret eller huvudsäkringen
+      const peakRoom_kW = inPeakWindow(dt)
+        ? Math.max(0, peakThreshold_kW() - peakTariff.margin_kW - expectedLoadForSlot(h))
+        : maxChargePower_kW;
+      const fuseRoom_kW = Math.max(0, fuseImportLimit_kW() - expectedLoadForSlot(h));
+      const limit_kW = canCharge ? maxChargePower_kW : mustCharge_kW;
+      step = integrateCharge(soc, Math.min(limit_kW, peakRoom_kW, fuseRoom_kW), dur_h, Math.min(cap, HARD_MAX_SOC));
+      power_kW = round2(step.grid_kWh / dur_h);
       if (power_kW > 0.01) decision = "charge";
-    } else if (inTop10) {
+    } else if (inTop10 && !exportBlocked(h)) {
       // Sälj: urladda fritt upp till begränsningar (tillåten export)
-      const avail_kWh = Math.max(0, (soc - HARD_MIN_SOC) * batteryCapacity_kWh);
-      const canOut_kWh = Math.min(avail_kWh * dischargeEff, maxDischargePower_kW);
-      const planned_kWh = Math.min(canOut_kWh, allocated_kWh);
-      power_kW = round2(planned_kWh);
+      step = integrateDischarge(soc, Math.min(maxDischargePower_kW, allocated_kWh / dur_h), dur_h, floorSoC);
+      power_kW = round2(step.out_kWh / dur_h);
       if (power_kW > 0.01) decision = "discharge_sell";
-    } else if (inNext30) {
-      // Endast last-shaving (ingen export) – i plan går det inte att veta last, så indikera mild discharge
-      const avail_kWh = Math.max(0, (soc - midDischargeFloorSoC) * batteryCapacity_kWh);
-      const canOut_kWh = Math.min(avail_kWh * dischargeEff, maxDischargePower_kW);
-      const planned_kWh = Math.min(canOut_kWh, allocated_kWh);
-      power_kW = round2(planned_kWh);
+    } else if (inNext30 || inTop10) {
+      // Endast last-shaving (ingen export) – dimensionerat efter förväntad last
+      step = integrateDischarge(soc, Math.min(dischargeLimit_kW, allocated_kWh / dur_h), dur_h, Math.max(midDischargeFloorSoC, floorSoC));
+      power_kW = round2(step.out_kWh / dur_h);
       if (power_kW > 0.01) decision = "discharge_shave";
     } else if (isMid && qualifiesMid) {
-      if (soc > midDischargeFloorSoC + 1e-3) {
-        const availOverFloor_kWh = Math.max(0, (soc - midDischargeFloorSoC) * batteryCapacity_kWh);
-        const canOut_kWh = Math.min(availOverFloor_kWh * dischargeEff, maxDischargePower_kW);
-        const planned_kWh = Math.min(canOut_kWh, allocated_kWh);
-        power_kW = round2(planned_kWh);
+      const midFloor = Math.max(midDischargeFloorSoC, floorSoC);
+      if (soc > midFloor + 1e-3) {
+        step = integrateDischarge(soc, Math.min(dischargeLimit_kW, allocated_kWh / dur_h), dur_h, midFloor);
+        power_kW = round2(step.out_kWh / dur_h);
         if (power_kW > 0.01) decision = "discharge_mid";
       }
     }
 
-    // SoC integrering (respektera hårda gränser)
-    if (decision.startsWith("charge")) {
-      const stored_kWh = power_kW * chargeEff;
-      soc = clamp01(Math.min(HARD_MAX_SOC, soc + stored_kWh / batteryCapacity_kWh));
-    } else if (decision.startsWith("discharge")) {
-      const taken_kWh = power_kW / dischargeEff;
-      soc = clamp01(Math.max(HARD_MIN_SOC, soc - taken_kWh / batteryCapacity_kWh));
-    }
+    // SoC efter slotten enligt integreringen ovan (hårda gränser och tak/golv respekterade)
+    if (decision !== "idle") soc = clamp01(step.soc);
 
     plan.push({
       hourStartISO: h.start,
+      duration_min: Math.round(dur_h * 60),
       decision,
       targetPower_kW: power_kW,
       socEnd: round3(soc),
@@ -442,14 +2663,513 @@ function buildPlan(hours, classes, startSoc, avgBuyOfDay) {
   return plan;
 }
 
+// =================== OPTIMERING (DP) ===================
+// Minsta kostnad för laddning/urladdning över slottarna, givet start-SoC.
+// Tillstånd = diskretiserad SoC mellan hårda gränser; övergång = lagrad energiförändring under en slot.
+// Kostnad per slot: nettoimport × köppris, nettoexport × säljpris (last enligt loadFor, default lastprognosen),
+// plus slitage per urladdad kWh (wearFor) och ev. effektavgift när importen skulle höja månadens toppar (penaltyFor).
+// Import över huvudsäkringen (importLimitFor, kW) straffas så hårt att planen laddar ur i stället för att gå över den.
+// Nettoöverskott (negativ last, PV) exporteras upp till exportLimitFor (kW; 0 vid blockerad export), resten kapas utan intäkt.
+// Överstyrning: tvingat läge (forceFor) ger slottens enda övergång; minSocEnd[t] är lägsta SoC efter slot t
+// (reserv/mål) och varje saknad kWh straffas som överlast – planen laddar i tid, eller så mycket det går.
+// Effekttak per SoC-tillstånd och verkningsgrad per effekt följer batteryCurves (fast roundTripEff i opts går före).
+// Kvarvarande energi vid horisontens slut värderas konservativt till lägsta köppris × urladdningsverkningsgrad.
+function optimizeDispatch(slots, startSoc, opts = {}) {
+  if (!Array.isArray(slots) || slots.length === 0) return [];
+
+  const cap_kWh = opts.capacity_kWh ?? batteryCapacity_kWh;
+  const minSoc  = opts.minSoc ?? HARD_MIN_SOC;
+  const maxSoc  = opts.maxSoc ?? HARD_MAX_SOC;
+  const pChg    = opts.maxCharge_kW ?? maxChargePower_kW;
+  const pDis    = opts.maxDischarge_kW ?? maxDischargePower_kW;
+  const effC    = opts.roundTripEff != null ? Math.sqrt(opts.roundTripEff) : chargeEff;
+  const effD    = opts.roundTripEff != null ? Math.sqrt(opts.roundTripEff) : dischargeEff;
+  const gridSide = opts.roundTripEff != null ? (d, dur) => (d > 0 ? d / effC : d * effD) : gridEnergy_kWh;
+  const loadFor = typeof opts.loadFor === "function" ? opts.loadFor : expectedLoadForSlot;
+  const capFor  = typeof opts.capFor === "function" ? opts.capFor : (h) => capSoCAt(h.start);
+  const floorFor = typeof opts.floorFor === "function" ? opts.floorFor : (h) => priceDischargeFloorSoC(h.start);
+  const penaltyFor = typeof opts.penaltyFor === "function" ? opts.penaltyFor : peakPenalty_SEK;
+  const wearFor = typeof opts.wearFor === "function" ? opts.wearFor : wearCost_SEK_per_kWh;
+  const importLimitFor = typeof opts.importLimitFor === "function" ? opts.importLimitFor : fuseImportLimit_kW;
+  const exportLimitFor = typeof opts.exportLimitFor === "function" ? opts.exportLimitFor : (h) => (exportBlocked(h) ? 0 : Infinity);
+  const forceFor = typeof opts.forceFor === "function" ? opts.forceFor : overrideForceFor;
+  const minSocEnd = opts.minSocEnd ?? overrideSocMinimums(slots);
+
+  const N = Math.max(2, Math.round((maxSoc - minSoc) / (opts.socStep ?? optimizer.socStep)) + 1);
+  const step_kWh = (maxSoc - minSoc) * cap_kWh / (N - 1);
+  const socOf = (i) => minSoc + (maxSoc - minSoc) * i / (N - 1);
+  const T = slots.length;
+
+  const minBuy = Math.min(...slots.map(h => h.buy_SEK));
+  const termValue = Number.isFinite(minBuy) ? Math.max(0, minBuy) * effD : 0;
+
+  // V[i] = minsta kostnad från slot t med SoC-index i; choice[t][i] = nästa index
+  let V = new Float64Array(N);
+  for (let i = 0; i < N; i++) V[i] = -i * step_kWh * termValue;
+  const choice = [];
+
+  // Per slotlängd: största steg upp/ned från varje tillstånd (effekttaket avtar mot fullt/tomt)
+  // och nätsidans energi per stegändring k (index k + N − 1)
+  const stepsOf = (kWh) => Math.floor(kWh / step_kWh + 1e-9);
+  const byDur = new Map();
+  const tablesFor = (dur) => {
+    if (!byDur.has(dur)) byDur.set(dur, {
+      kUp: Int16Array.from({ length: N }, (_, i) => stepsOf(integrateCharge(socOf(i), pChg, dur, maxSoc, cap_kWh).stored_kWh)),
+      kDown: Int16Array.from({ length: N }, (_, i) => stepsOf(integrateDischarge(socOf(i), pDis, dur, minSoc, cap_kWh).taken_kWh)),
+      grid: Float64Array.from({ length: 2 * N - 1 }, (_, k) => gridSide((k - N + 1) * step_kWh, dur)),
+    });
+    return byDur.get(dur);
+  };
+
+  // Effektavgiftens tröskel gäller hela körningen; fönsterflagga och säkringsgräns sätts per slot nedan
+  const peakLimit_kW = peakTariff.enabled ? peakThreshold_kW() : Infinity;
+
+  // s = { h, dur, grid, load_kWh, importLimit_kW, exportLimit_kW, inPeak } för slotten
+  const slotCost = (s, k, socAfter) => {
+    const dStored_kWh = k * step_kWh;
+    const batt_kWh = s.grid[k + N - 1]; // grid-sida
+    const net_kWh = s.load_kWh + batt_kWh;
+    const energy = net_kWh >= 0 ? net_kWh * s.h.buy_SEK : Math.max(net_kWh, -s.exportLimit_kW * s.dur) * s.h.sell_SEK;
+    const wear = dStored_kWh < 0 ? -dStored_kWh * wearFor(socAfter) : 0;
+    const overFuse_kWh = Math.max(0, net_kWh - s.importLimit_kW * s.dur);
+    return energy + wear + overFuse_kWh * FUSE_OVERLOAD_SEK_PER_KWH + (net_kWh > 0 ? penaltyFor(s.h, net_kWh / s.dur, s.inPeak, peakLimit_kW) : 0);
+  };
+
+  for (let t = T - 1; t >= 0; t--) {
+    const h = slots[t];
+    const dur = slotHours(h);
+    const load_kWh = (loadFor(h, t) || 0) * dur; // negativ = nettoöverskott (PV) som exporteras
+    const { kUp, kDown, grid } = tablesFor(dur);
+    const s = { h, dur, grid, load_kWh, importLimit_kW: importLimitFor(h), exportLimit_kW: exportLimitFor(h), inPeak: inPeakWindow(h.start) };
+    const capIdx = Math.floor((clamp01(capFor(h)) - minSoc) / (maxSoc - minSoc) * (N - 1) + 1e-9);
+    const floorIdx = Math.ceil((clamp01(floorFor(h)) - minSoc) / (maxSoc - minSoc) * (N - 1) - 1e-9);
+    const needIdx = minSocEnd[t] != null ? Math.ceil((clamp01(minSocEnd[t]) - minSoc) / (maxSoc - minSoc) * (N - 1) - 1e-9) : -1;
+    const force = forceFor(h);
+    const forcedStep = (i) => force.mode === "charge"
+      ? stepsOf(integrateCharge(socOf(i), Math.min(force.power_kW ?? pChg, pChg), dur * force.share, maxSoc, cap_kWh).stored_kWh)
+      : stepsOf(integrateDischarge(socOf(i), Math.min(force.power_kW ?? pDis, pDis), dur * force.share, minSoc, cap_kWh).taken_kWh);
+
+    const Vt = new Float64Array(N);
+    const ch = new Int16Array(N);
+    for (let i = 0; i < N; i++) {
+      if (force) {
+        const j = force.mode === "charge" ? Math.min(N - 1, i + forcedStep(i))
+          : force.mode === "discharge" ? Math.max(Math.min(i, floorIdx), i - forcedStep(i)) : i;
+        Vt[i] = slotCost(s, j - i, socOf(j)) + V[j];
+        ch[i] = j;
+        continue;
+      }
+      const jMax = Math.min(N - 1, i + kUp[i], Math.max(i, capIdx, needIdx));
+      const jMin = Math.max(0, i - kDown[i], Math.min(i, floorIdx));
+      const shortfall = (j) => Math.max(0, needIdx - j) * step_kWh * OVERRIDE_SHORTFALL_SEK_PER_KWH;
+      // idle först → vinner vid lika kostnad
+      let best = slotCost(s, 0, socOf(i)) + shortfall(i) + V[i];
+      let bestJ = i;
+      for (let j = jMin; j <= jMax; j++) {
+        if (j === i) continue;
+        const c = slotCost(s, j - i, socOf(j)) + shortfall(j) + V[j];
+        if (c < best - 1e-9) { best = c; bestJ = j; }
+      }
+      Vt[i] = best;
+      ch[i] = bestJ;
+    }
+    choice[t] = ch;
+    V = Vt;
+  }
+
+  const soc0 = Math.min(maxSoc, Math.max(minSoc, clamp01(startSoc)));
+  let i = Math.round((soc0 - minSoc) / (maxSoc - minSoc) * (N - 1));
+  const out = [];
+  for (let t = 0; t < T; t++) {
+    const h = slots[t];
+    const dur = slotHours(h);
+    const j = choice[t][i];
+    const dStored_kWh = (j - i) * step_kWh;
+    out.push({
+      slot: h,
+      dur_h: dur,
+      load_kWh: Math.max(0, loadFor(h, t) || 0) * dur,
+      socStart: t === 0 ? soc0 : socOf(i),
+      socEnd: socOf(j),
+      charge_kWh: dStored_kWh > 0 ? gridSide(dStored_kWh, dur) : 0,     // från nät/PV
+      discharge_kWh: dStored_kWh < 0 ? -gridSide(dStored_kWh, dur) : 0, // levererat
+    });
+    i = j;
+  }
+  return out;
+}
+
+// Plan i samma format som buildPlan, men från optimeraren
+function buildOptimalPlan(hours, startSoc, opts = {}) {
+  const schedule = optimizeDispatch(hours, startSoc, opts);
+  return schedule.map(s => {
+    let decision = "idle";
+    let power_kW = 0;
+    if (s.charge_kWh > 1e-6) {
+      decision = "charge";
+      power_kW = round2(s.charge_kWh / s.dur_h);
+    } else if (s.discharge_kWh > 1e-6) {
+      // Mer än förväntad last → export (sälj), annars endast last-shaving (tolerans för SoC-steg)
+      decision = (s.discharge_kWh > s.load_kWh + 0.05 * s.dur_h) ? "discharge_sell" : "discharge_shave";
+      power_kW = round2(s.discharge_kWh / s.dur_h);
+    }
+    if (power_kW <= 0.01) { decision = "idle"; power_kW = 0; }
+    return {
+      hourStartISO: s.slot.start,
+      duration_min: Math.round(s.dur_h * 60),
+      decision,
+      targetPower_kW: power_kW,
+      socEnd: round3(s.socEnd),
+      price_buy_SEK: round2(s.slot.buy_SEK || 0)
+    };
+  });
+}
+
+// =================== PLANUPPFÖLJNING ===================
+// Planen sparas kompakt så att nästa körning kan jämföra uppmätt SoC med förväntad
+const LAST_PLAN_KEY = "battery_last_plan";
+
+function saveLastPlan(plan, startSoc, now = nowDate()) {
+  saveState(LAST_PLAN_KEY, {
+    ts: new Date(now).getTime(),
+    startSoc: round3(startSoc),
+    rows: plan.map(p => ({ start: p.hourStartISO, min: p.duration_min, socEnd: p.socEnd })),
+  });
+}
+
+// Förväntad SoC vid `now` enligt förra planen (linjärt inom slotten), null om planen inte täcker tiden
+function expectedSocFromLastPlan(now = nowDate()) {
+  const last = loadState(LAST_PLAN_KEY, null);
+  if (!last || !Array.isArray(last.rows) || !last.rows.length) return null;
+  const t = new Date(now).getTime();
+  let soc = last.startSoc;
+  let from = last.ts;
+  if (t < from) return null;
+  for (const r of last.rows) {
+    // Första raden är förkortad till tiden kvar av slotten → kedja från planens tidpunkt
+    const end = from + r.min * 60000;
+    if (t <= end) return soc + (r.socEnd - soc) * clamp01((t - from) / Math.max(1, end - from));
+    soc = r.socEnd;
+    from = end;
+  }
+  return null;
+}
+
+// + laddning / − urladdning (kW)
+function signedPower_kW(mode, power_kW) {
+  return mode === "charge" ? power_kW : mode === "discharge" ? -power_kW : 0;
+}
+function plannedSignedPower_kW(row) {
+  return signedPower_kW(row.decision.startsWith("charge") ? "charge" : row.decision.startsWith("discharge") ? "discharge" : "idle", row.targetPower_kW);
+}
+
+// =================== EKONOMI ===================
+// Pengar med batteri mot en referens utan batteri (samma last och PV), per planslot och realiserat från mätningar.
+// sellRevenue_SEK = intäkt för export som batteriet står för (export utöver referensens).
+// { month, day, lastTs, monthTotals, dayTotals } – realiserat integreras mellan körningarna som årsräkningen
+const ECONOMY_STATE_KEY = "battery_economy_state";
+
+function emptyTotals() {
+  return { import_kWh: 0, export_kWh: 0, cost_SEK: 0, baselineCost_SEK: 0, savings_SEK: 0, sellRevenue_SEK: 0 };
+}
+function addTotals(sum, e) {
+  for (const k of Object.keys(sum)) sum[k] += e[k] || 0;
+  return sum;
+}
+function roundTotals(t) {
+  const out = {};
+  for (const [k, v] of Object.entries(t)) out[k] = k.endsWith("_kWh") ? round3(v) : round2(v);
+  return out;
+}
+
+// Nettoeffekt mot nätet (kW, + import) med och utan batteri under dur_h timmar
+function periodEconomics(net_kW, baseNet_kW, dur_h, buy_SEK, sell_SEK) {
+  const imp = Math.max(0, net_kW) * dur_h;
+  const exp = Math.max(0, -net_kW) * dur_h;
+  const baseImp = Math.max(0, baseNet_kW) * dur_h;
+  const baseExp = Math.max(0, -baseNet_kW) * dur_h;
+  const cost = imp * buy_SEK - exp * sell_SEK;
+  const baseline = baseImp * buy_SEK - baseExp * sell_SEK;
+  return {
+    import_kWh: imp, export_kWh: exp, cost_SEK: cost, baselineCost_SEK: baseline,
+    savings_SEK: baseline - cost, sellRevenue_SEK: Math.max(0, exp - baseExp) * sell_SEK,
+  };
+}
+
+// Förväntad ekonomi per planrad (lastprognos inkl. flexibla laster, PV-prognos, planens effekt); fälten läggs på raderna
+function attachPlanEconomics(plan, slots, pvForecast) {
+  const byStart = new Map(slots.map(h => [h.start, h]));
+  for (const row of plan) {
+    const h = byStart.get(row.hourStartISO);
+    if (!h) continue;
+    const sell_SEK = Number.isFinite(h.sell_SEK) ? h.sell_SEK : 0;
+    const baseNet_kW = expectedLoadForSlot(h) - pvForecastFor_kW(pvForecast, h);
+    const e = periodEconomics(baseNet_kW + plannedSignedPower_kW(row), baseNet_kW, slotHours(h), h.buy_SEK || 0, sell_SEK);
+    Object.assign(row, { price_sell_SEK: round2(sell_SEK), ...roundTotals(e) });
+  }
+}
+
+// Realiserat från uppmätta flöden och aktuell slots priser (syntetiska priser och felaktiga flöden räknas inte)
+function recordRealizedEconomics(flows_kW, slot, counted, now = nowDate()) {
+  const month = monthKey(now);
+  const day = ymdString(now);
+  const st = loadState(ECONOMY_STATE_KEY, null) || {};
+  if (st.month !== month) Object.assign(st, { month, monthTotals: emptyTotals() });
+  if (st.day !== day) Object.assign(st, { day, dayTotals: emptyTotals() });
+  const t = new Date(now).getTime();
+  if (st.lastTs != null && slot && counted) {
+    const dt_h = Math.min(ledgerMaxGap_h, Math.max(0, (t - st.lastTs) / 3600000));
+    const e = periodEconomics((flows_kW.gridImport_kW || 0) - (flows_kW.gridExport_kW || 0), (flows_kW.load_kW || 0) - (flows_kW.prod_kW || 0),
+      dt_h, slot.buy_SEK || 0, Number.isFinite(slot.sell_SEK) ? slot.sell_SEK : 0);
+    addTotals(st.monthTotals, e);
+    addTotals(st.dayTotals, e);
+  }
+  st.lastTs = t;
+  saveState(ECONOMY_STATE_KEY, st);
+  return st;
+}
+
+// Summa över planrader, ev. ovanpå redan realiserat (idag = hittills + resten enligt planen)
+function planTotals(rows, realized = null) {
+  const sum = addTotals(emptyTotals(), realized || {});
+  for (const r of rows) addTotals(sum, r);
+  return roundTotals(sum);
+}
+
+// =================== HISTORIK ===================
+// Beslutslogg per lokalt dygn (äldst först), en post per körning:
+// { ts, soc, pv_W, grid_W, load_W, batt_W, faults, price: { state, buy, sell, stale, source } | null, cap,
+//   mode, power_W, reason, plan: { start, end, decision, power_kW, socEnd } | null }
+// Avstämning per dygn, uppdaterad vid varje körning: planens socEnd (från slottens första körning) mot uppmätt SoC
+// vid slottens slut, och planerad batterieffekt mot uppmätt battery_flow_W mellan körningarna (integreras som årsräkningen).
+// Summorna sparas separat från loggen:
+// { days: [avslutade dygn], open: pågående dygn, prev: { ts, plan }, lastSlot: ISO, pending: [{ day, end, socEnd }] }
+// Loggen ligger i en hink per dygn (HISTORY_KEY_YYYY-MM-DD, högst history.maxEntries poster) och HISTORY_KEY
+// listar sparade dygn: en körning skriver bara dagens hink, och dygn äldre än history.keepDays tas bort.
+const HISTORY_KEY = "battery_decision_history";
+const RECONCILIATION_KEY = "battery_plan_reconciliation";
+
+const historyDayKey = (day) => `${HISTORY_KEY}_${day}`;
+
+function loadHistoryDay(day) {
+  const list = loadState(historyDayKey(day), []);
+  return Array.isArray(list) ? list : [];
+}
+
+// Sparade dygn (äldst först). En logg i det äldre formatet (en enda lista) delas upp i dygnshinkar.
+function loadHistoryDays() {
+  const idx = loadState(HISTORY_KEY, null);
+  if (Array.isArray(idx)) {
+    const byDay = new Map();
+    for (const e of idx) {
+      if (!e || !e.ts) continue;
+      const d = ymdString(e.ts);
+      if (!byDay.has(d)) byDay.set(d, []);
+      byDay.get(d).push(e);
+    }
+    for (const [d, list] of byDay) saveState(historyDayKey(d), list.slice(-history.maxEntries));
+    const days = [...byDay.keys()].sort();
+    saveState(HISTORY_KEY, { days });
+    return days;
+  }
+  return Array.isArray(idx?.days) ? idx.days : [];
+}
+
+function loadReconciliation() {
+  const st = loadState(RECONCILIATION_KEY, null);
+  return { days: [], open: null, prev: null, lastSlot: null, pending: [], ...(isPlainObject(st) ? st : {}) };
+}
+
+// Sparar posten i loggen och lägger den till avstämningen; returnerar senaste avslutade dygnets avstämning eller null
+function recordDecision(entry, now = nowDate()) {
+  const st = loadReconciliation();
+  if (history.enabled) {
+    const days = loadHistoryDays();
+    const day = ymdString(entry.ts);
+    const list = loadHistoryDay(day);
+    list.push(entry);
+    saveState(historyDayKey(day), list.slice(-history.maxEntries));
+    if (!days.includes(day)) {
+      // Nytt dygn: dygn som helt ligger före keepDays töms
+      const oldest = ymdString(new Date(new Date(now).getTime() - history.keepDays * 86400000));
+      const keep = [...days, day].sort().filter(d => d >= oldest);
+      for (const d of days) if (!keep.includes(d)) saveState(historyDayKey(d), null);
+      saveState(HISTORY_KEY, { days: keep });
+    }
+    reconcileEntry(st, entry);
+    saveState(RECONCILIATION_KEY, st);
+  }
+  return st.days[st.days.length - 1] || null;
+}
+
+// Uppmätta flöden i posten (rå W, samma tecken som indata)
+function historyInputs(parsed) {
+  return { pv_W: parsed.producing_W, grid_W: parsed.grid_flow_W, load_W: parsed.local_flow_W, batt_W: parsed.battery_flow_W };
+}
+
+function emptyReconciliation(day) {
+  return { day, runs: 0, plannedCharge: 0, actualCharge: 0, plannedDischarge: 0, actualDischarge: 0, match_h: 0, total_h: 0, import: 0, export: 0,
+    slots: 0, errAbs: 0, errSum: 0, errMax: 0 };
+}
+
+// En körning in i summorna. Första körningen på ett nytt lokalt dygn avslutar det föregående (sparas 31 dygn).
+function reconcileEntry(st, e) {
+  const ms = (x) => new Date(x).getTime();
+  const t = ms(e.ts);
+  const day = ymdString(e.ts);
+
+  // SoC: första mätningen efter slottens slut räknas till dygnet då slotten planerades (om den kom i tid)
+  const waiting = [];
+  for (const p of st.pending) {
+    if (t < ms(p.end)) { waiting.push(p); continue; }
+    if (st.open?.day !== p.day || !Number.isFinite(e.soc) || t - ms(p.end) > ledgerMaxGap_h * 3600000) continue;
+    const err = e.soc - p.socEnd;
+    st.open.slots++;
+    st.open.errAbs += Math.abs(err);
+    st.open.errSum += err;
+    st.open.errMax = Math.max(st.open.errMax, Math.abs(err));
+  }
+  st.pending = waiting;
+
+  if (st.open && st.open.day !== day) {
+    const r = summarizeReconciliation(st.open);
+    st.days = [...st.days.filter(d => d.day !== r.day), r].slice(-31);
+    console.log("📒 Avstämning mot plan:", r);
+    st.open = null;
+  }
+  const acc = st.open || (st.open = emptyReconciliation(day));
+  acc.runs++;
+
+  // Energi: intervallet fram till en körning mäts av den körningen och planerades av den förra (+ laddning)
+  const prev = st.prev;
+  if (prev && prev.plan) {
+    const dir = (kW) => kW > 0.1 ? 1 : kW < -0.1 ? -1 : 0;
+    const dt_h = Math.min(ledgerMaxGap_h, Math.max(0, (t - ms(prev.ts)) / 3600000));
+    const planned_kW = plannedSignedPower_kW({ decision: prev.plan.decision, targetPower_kW: prev.plan.power_kW });
+    const actual_kW = -(Number(e.batt_W) || 0) / 1000;
+    const grid_kW = (Number(e.grid_W) || 0) / 1000;
+    acc.plannedCharge += Math.max(0, planned_kW) * dt_h;
+    acc.plannedDischarge += Math.max(0, -planned_kW) * dt_h;
+    acc.actualCharge += Math.max(0, actual_kW) * dt_h;
+    acc.actualDischarge += Math.max(0, -actual_kW) * dt_h;
+    acc.import += Math.max(0, grid_kW) * dt_h;
+    acc.export += Math.max(0, -grid_kW) * dt_h;
+    if (dir(planned_kW) === dir(actual_kW)) acc.match_h += dt_h;
+    acc.total_h += dt_h;
+  }
+
+  if (e.plan && e.plan.start !== st.lastSlot) {
+    st.pending.push({ day, end: e.plan.end, socEnd: e.plan.socEnd });
+    st.lastSlot = e.plan.start;
+  }
+  st.prev = { ts: e.ts, plan: e.plan };
+}
+
+function summarizeReconciliation(acc) {
+  return {
+    day: acc.day,
+    runs: acc.runs,
+    slots: acc.slots,
+    soc_mae_percent: acc.slots ? round2(acc.errAbs / acc.slots * 100) : 0,
+    soc_max_percent: round2(acc.errMax * 100),
+    soc_bias_percent: acc.slots ? round2(acc.errSum / acc.slots * 100) : 0, // + = mer laddat än planerat
+    planned_charge_kWh: round2(acc.plannedCharge),
+    actual_charge_kWh: round2(acc.actualCharge),
+    planned_discharge_kWh: round2(acc.plannedDischarge),
+    actual_discharge_kWh: round2(acc.actualDischarge),
+    action_match_percent: acc.total_h > 0 ? round2(acc.match_h / acc.total_h * 100) : 0, // samma riktning som planen
+    import_kWh: round2(acc.import),
+    export_kWh: round2(acc.export),
+  };
+}
+
+// Fråga: "last:N" (senaste besluten), "YYYY-MM-DD" / "today" / "yesterday" (dygnets tidslinje + avstämning)
+function queryHistory(q, now = nowDate()) {
+  const s = String(q ?? "").trim();
+  const days = loadHistoryDays();
+  const last = /^last:(\d+)$/.exec(s);
+  if (last) {
+    // Bakåt dygn för dygn tills N poster hittats
+    const n = Number(last[1]);
+    let entries = [];
+    for (const d of [...days].reverse()) {
+      if (entries.length >= n) break;
+      entries = [...loadHistoryDay(d), ...entries];
+    }
+    return { query: s, entries: n > 0 ? entries.slice(-n) : [] };
+  }
+  const day = s === "today" ? ymdString(now) : s === "yesterday" ? ymdString(zonedDayStart(now, -1)) : s;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return { query: s, error: "okänd fråga (last:N, YYYY-MM-DD, today, yesterday)" };
+  const st = loadReconciliation();
+  const reconciliation = st.open?.day === day ? summarizeReconciliation(st.open) : st.days.find(d => d.day === day) || null;
+  return { query: s, day, entries: days.includes(day) ? loadHistoryDay(day) : [], reconciliation };
+}
+
+// =================== HYSTERES ===================
+// Förra beslutet sparas mellan körningar: { mode, power_kW, since, classKey }
+const DECISION_STATE_KEY = "battery_decision_state";
+
+// Prisklass + planerat beslut för slotten; ändras nyckeln slår nytt beslut igenom direkt
+function priceClassKey(priceNowState, planNow) {
+  return [priceNowState.stale ? "stale" : priceNowState.state, priceNowState.inTop10 === true, priceNowState.inNext30 === true, planNow?.decision || ""].join("|");
+}
+
+function loadDecisionState() {
+  return loadState(DECISION_STATE_KEY, null);
+}
+
+function saveDecisionState(prev, action, classKey, now = nowDate()) {
+  const t = new Date(now).getTime();
+  const since = prev && prev.mode === action.mode ? prev.since : t;
+  saveState(DECISION_STATE_KEY, { mode: action.mode, power_kW: action.power_kW, since, classKey });
+}
+
+// Efterfilter: minsta tid per läge och undertryckta små effektändringar.
+// Under hålltiden behålls läget, men effekten begränsas till PV-överskott/lastgap (ingen extra import/export).
+function applyHysteresis(action, prev, flows_kW, socNow, classKey, now = nowDate()) {
+  if (!hysteresis.enabled || !prev || action.urgent) return action;
+  if (prev.classKey !== classKey) return action;
+
+  if (action.mode === prev.mode) {
+    const delta = Math.abs(action.power_kW - prev.power_kW);
+    if (action.mode !== "idle" && delta > 0 && delta < hysteresis.minPowerChange_kW) {
+      return { ...action, power_kW: prev.power_kW, reason: `${action.reason} | börvärde oförändrat (Δ ${round2(delta)} kW)` };
+    }
+    return action;
+  }
+
+  // Säkerhet: läget får inte hållas kvar utanför SoC-gränserna
+  if (prev.mode === "charge" && socNow >= HARD_MAX_SOC - 1e-6) return action;
+  if (prev.mode === "discharge" && socNow <= priceDischargeFloorSoC(now) + 1e-6) return action;
+
+  const dwell_min = hysteresis.minDwell_min?.[prev.mode] ?? 0;
+  const elapsed_min = (new Date(now).getTime() - prev.since) / 60000;
+  if (elapsed_min >= dwell_min) return action;
+
+  const pv_surplus_kW = Math.max(0, (flows_kW.prod_kW || 0) - (flows_kW.load_kW || 0));
+  const load_gap_kW   = Math.max(0, (flows_kW.load_kW || 0) - (flows_kW.prod_kW || 0));
+  const power_kW = prev.mode === "charge" ? Math.min(prev.power_kW, pv_surplus_kW)
+    : prev.mode === "discharge" ? Math.min(prev.power_kW, load_gap_kW)
+    : 0;
+  const left = Math.ceil(dwell_min - elapsed_min);
+  return { mode: prev.mode, power_kW: round2(power_kW), reason: `HYSTERES: håller ${prev.mode} (${left} min kvar) – ${action.reason}` };
+}
+
 // =================== REALTIDS-BESLUT ===================
-function decideRealtime(flows_kW, socNow, priceNowState, socTargetEndOfToday, todayHours, classesAll, avgBuyToday) {
-  const now = new Date();
+function decideRealtime(flows_kW, socNow, priceNowState, todayHours, classesAll, avgBuyToday, planNow, prev = null) {
+  const now = nowDate();
 
   const pv_surplus_kW = Math.max(0, (flows_kW.prod_kW || 0) - (flows_kW.load_kW || 0));
   const load_gap_kW   = Math.max(0, (flows_kW.load_kW || 0) - (flows_kW.prod_kW || 0));
 
-  const baseCap = capSoCForHour(now);
+  // Dödband: nytt läge kräver marginal över tröskeln, pågående läge släpps först vid tröskeln
+  const hyst = hysteresis.enabled;
+  const pvStart_kW = pvNoiseFloor_kW + (hyst && prev?.mode !== "charge" ? hysteresis.pvDeadband_kW : 0);
+  const shaveGap_kW = (!hyst || prev?.mode === "discharge" || load_gap_kW >= hysteresis.loadDeadband_kW) ? load_gap_kW : 0;
+
+  const baseCap = capSoCAt(now);
+  // Energigränser omräknas till effekt över aktuell slots längd (15 eller 60 min)
+  const slotDur_h = priceNowState.duration_h || 1;
   let capNow = baseCap;
   if (pv_surplus_kW > pvNoiseFloor_kW && capNow < HARD_MAX_SOC) {
     capNow = HARD_MAX_SOC;
@@ -457,27 +3177,106 @@ function decideRealtime(flows_kW, socNow, priceNowState, socTargetEndOfToday, to
 
   // SoC-baserade begränsningar
   const room_kWh = Math.max(0, (capNow - Math.min(socNow, HARD_MAX_SOC)) * batteryCapacity_kWh);
-  const socLimitedCharge_kW = Math.max(0, room_kWh / chargeEff);
+  const socLimitedCharge_kW = Math.max(0, room_kWh / chargeEff / slotDur_h);
+
+  // Prisstyrd urladdning stannar vid golvet (hård min, eller effektbuffert under avgiftsdygn)
+  const dischargeFloor = priceDischargeFloorSoC(now);
+  const avail_kWh = Math.max(0, (Math.max(socNow, dischargeFloor) - dischargeFloor) * batteryCapacity_kWh);
+  const socLimitedDischarge_kW = Math.max(0, avail_kWh * dischargeEff / slotDur_h);
+
+  // Effekttak vid aktuell SoC (batteryCurves: avtar mot fullt/tomt)
+  const chargeMax_kW = chargePowerLimit_kW(socNow);
+  const dischargeMax_kW = dischargePowerLimit_kW(socNow);
+
+  // Överstyrning: tvingat läge går före allt annat (hårda gränser och backup-reserven gäller, ingen hysteres)
+  const forced = overridesAt(now, "force").pop();
+  if (forced) {
+    if (forced.mode === "charge") {
+      const room_kW = Math.max(0, (HARD_MAX_SOC - socNow) * batteryCapacity_kWh / chargeEff / slotDur_h);
+      const p = Math.min(forced.power_kW ?? chargeMax_kW, chargeMax_kW, room_kW);
+      if (p > 0.01) return { mode: "charge", power_kW: round2(p), reason: "OVERRIDE: tvingad laddning", urgent: true, forced: true };
+    } else if (forced.mode === "discharge") {
+      const p = Math.min(forced.power_kW ?? dischargeMax_kW, dischargeMax_kW, socLimitedDischarge_kW);
+      if (p > 0.01) return { mode: "discharge", power_kW: round2(p), reason: "OVERRIDE: tvingad urladdning – export OK", urgent: true, forced: true };
+    }
+    return { mode: "idle", power_kW: 0, reason: `OVERRIDE: tvingad vila${forced.mode !== "idle" ? " (SoC-gräns nådd)" : ""}`, urgent: true, forced: true };
+  }
 
-  const avail_kWh = Math.max(0, (Math.max(socNow, HARD_MIN_SOC) - HARD_MIN_SOC) * batteryCapacity_kWh);
-  const socLimitedDischarge_kW = Math.max(0, avail_kWh * dischargeEff);
+  // Under backup-reserven: ladda upp direkt, även från nätet och utan priser
+  const reserve = overrideReserveSoC(now);
+  if (socNow < reserve - 1e-3 && chargeMax_kW > 0) {
+    return { mode: "charge", power_kW: round2(chargeMax_kW), reason: `RESERV: laddar upp till ${Math.round(reserve*100)}%`, urgent: true };
+  }
 
-  // 0) Solar-first (respektera cap)
-  if (pv_surplus_kW > pvNoiseFloor_kW && socNow < HARD_MAX_SOC - 1e-6) {
-    const p = Math.min(pv_surplus_kW, socLimitedCharge_kW, maxChargePower_kW);
+  // SoC-mål: full laddning när återstående tid inte räcker annars (planen lägger normalt laddningen billigare före)
+  for (const o of overridesAt(now, "target")) {
+    // Räcker inte resten av tiden (efter denna slot) för full laddning med avtagande effekt → ladda nu
+    const left_h = (o.untilMs - now.getTime()) / 3600000;
+    const reach = integrateCharge(socNow, maxChargePower_kW, Math.max(0, left_h - slotDur_h), o.soc);
+    if (o.soc > socNow + 1e-3 && chargeMax_kW > 0 && reach.soc < o.soc - 1e-3) {
+      return { mode: "charge", power_kW: round2(chargeMax_kW), reason: `MÅL: ${Math.round(o.soc*100)}% senast ${overrideClock(o.untilMs, now)} – laddar för fullt`, urgent: true };
+    }
+  }
+
+  // Negativt köppris: ladda från nätet mot hårt tak (solar-reserve gäller inte – exporten är ändå olönsam)
+  if (!priceNowState.stale && gridChargePaid(priceNowState.slot) && socNow < HARD_MAX_SOC - 1e-6) {
+    const room_kW = (HARD_MAX_SOC - socNow) * batteryCapacity_kWh / chargeEff / slotDur_h;
+    const p = Math.min(room_kW, chargeMax_kW);
+    if (p > 0) return { mode: "charge", power_kW: round2(p), reason: `NEGATIVT PRIS: nätladdning (${round2(priceNowState.price)} kr/kWh)` };
+  }
+
+  // 0) Solar-first (respektera cap) – utom när planen själv laddar eller säljer i slotten
+  const planOwnsSlot = planNow && !priceNowState.stale && (planNow.decision === "charge" || planNow.decision === "discharge_sell");
+  if (!planOwnsSlot && pv_surplus_kW > pvStart_kW && socNow < HARD_MAX_SOC - 1e-6) {
+    const p = Math.min(pv_surplus_kW, socLimitedCharge_kW, chargeMax_kW);
     if (p > pvNoiseFloor_kW) {
       return { mode: "charge", power_kW: round2(p), reason: `Solar-first: PV-överskott ${round2(pv_surplus_kW)} kW (cap ${Math.round(capNow*100)}%)` };
     }
   }
 
+  // Offline (syntetiska priser): endast egenförbrukning – ingen nätladdning, ingen export
+  if (priceNowState.stale) {
+    const target = Math.min(shaveGap_kW, socLimitedDischarge_kW, dischargeMax_kW);
+    if (target > 0) return { mode: "discharge", power_kW: round2(target), reason: "OFFLINE: priser saknas – täcker last, ingen export" };
+    return { mode: "idle", power_kW: 0, reason: "OFFLINE: priser saknas – ingen nätladdning" };
+  }
+
+  // Följ planerad slot: planens börvärde, justerat för aktuell PV/last (export endast om planen säger sälj)
+  if (planNow) {
+    const d = planNow.decision;
+    if (d === "charge") {
+      // Större PV-överskott än planerat tas också (ingen export av sol som får plats)
+      const p = Math.min(Math.max(planNow.targetPower_kW, pv_surplus_kW), socLimitedCharge_kW, chargeMax_kW);
+      if (p > 0) return { mode: "charge", power_kW: round2(p), reason: `PLAN: laddar ${round2(p)} kW (plan ${planNow.targetPower_kW} kW, cap ${Math.round(baseCap*100)}%)` };
+    } else if (d === "discharge_sell") {
+      const p = Math.min(planNow.targetPower_kW, socLimitedDischarge_kW, dischargeMax_kW);
+      if (p > 0) return { mode: "discharge", power_kW: round2(p), reason: `PLAN: sälj ${round2(p)} kW – export OK` };
+    } else if (d === "discharge_shave" || d === "discharge_mid") {
+      // Aktuellt lastgap i stället för prognosen, aldrig export
+      const p = Math.min(shaveGap_kW, socLimitedDischarge_kW, dischargeMax_kW);
+      if (p > 0) return { mode: "discharge", power_kW: round2(p), reason: `PLAN: last-shaving, ingen export` };
+      return { mode: "idle", power_kW: 0, reason: `PLAN: urladdning planerad men ingen last att shava` };
+    }
+    return { mode: "idle", power_kW: 0, reason: `PLAN: vila (${d})` };
+  }
+
   // Definiera “var är vi i klassningen” för aktuell timme
   const inTop10  = priceNowState.inTop10 === true;
   const inNext30 = priceNowState.inNext30 === true;
 
+  // Slitagekontroll: spreaden mot dagens billigaste köp måste täcka verkningsgrad + slitage
+  const dayBuys = (todayHours || []).map(h => h.buy_SEK).filter(Number.isFinite);
+  const minBuyToday = dayBuys.length ? Math.min(...dayBuys) : 0;
+  const maxBuyToday = dayBuys.length ? Math.max(...dayBuys) : 0;
+  const sellNow = priceNowState.slot?.sell_SEK;
+  if ((inTop10 && !dischargeWorthIt(sellNow, minBuyToday, socNow)) || (inNext30 && !dischargeWorthIt(priceNowState.price, minBuyToday, socNow))) {
+    return { mode: "idle", power_kW: 0, reason: `EXPENSIVE: spread täcker inte slitage (${round2(wearCost_SEK_per_kWh(socNow))} kr/kWh)` };
+  }
+
   // 1) Dyraste 10% → export tillåten (sälj)
   if (inTop10) {
     if (socLimitedDischarge_kW > 0) {
-      const target = Math.min(maxDischargePower_kW, socLimitedDischarge_kW);
+      const target = Math.min(dischargeMax_kW, socLimitedDischarge_kW);
       return { mode: "discharge", power_kW: round2(target), reason: `SELL: topp 10% dyrast – export OK` };
     }
     return { mode: "idle", power_kW: 0, reason: "SELL: topp 10% – men SoC vid min" };
@@ -485,7 +3284,7 @@ function decideRealtime(flows_kW, socNow, priceNowState, socTargetEndOfToday, to
 
   // 2) Nästa 30% dyrast → endast last-shaving (ingen export)
   if (inNext30) {
-    const target = Math.min(load_gap_kW, socLimitedDischarge_kW, maxDischargePower_kW);
+    const target = Math.min(shaveGap_kW, socLimitedDischarge_kW, dischargeMax_kW);
     if (target > 0) {
       return { mode: "discharge", power_kW: round2(target), reason: `EXPENSIVE (30%): last-shaving, ingen export` };
     }
@@ -494,39 +3293,339 @@ function decideRealtime(flows_kW, socNow, priceNowState, socTargetEndOfToday, to
   }
 
   // 3) Billigt → ladda (import OK), men aldrig över 90%
-  if (priceNowState.state === "cheap" && allowGridChargeWhenCheap && socNow < HARD_MAX_SOC - 1e-6) {
-    const p = Math.min(socLimitedCharge_kW, maxChargePower_kW);
+  if (priceNowState.state === "cheap" && allowGridChargeWhenCheap && socNow < HARD_MAX_SOC - 1e-6
+      && dischargeWorthIt(maxBuyToday, priceNowState.price, HARD_MIN_SOC)) {
+    const p = Math.min(socLimitedCharge_kW, chargeMax_kW);
     if (p > 0) return { mode: "charge", power_kW: round2(p), reason: `CHEAP: laddar (cap ${Math.round(baseCap*100)}%)` };
   }
 
   // 4) “Mid” → ev. last-shaving om pris ≥ snitt*bias (ingen export)
   if (priceNowState.state === "normal") {
     const midThreshold = (avgBuyToday || 0) * priceMidBias;
-    if (priceNowState.price >= midThreshold && socNow > midDischargeFloorSoC + 1e-3) {
-      const availOverFloor_kWh = Math.max(0, (socNow - midDischargeFloorSoC) * batteryCapacity_kWh);
-      const allow_kW = Math.min(availOverFloor_kWh * dischargeEff, maxDischargePower_kW);
-      const target = Math.min(load_gap_kW, allow_kW); // begränsa till last → ingen export
-      if (target > 0) return { mode: "discharge", power_kW: round2(target), reason: `MID: shavar import (buffert ≥ ${Math.round(midDischargeFloorSoC*100)}%)` };
+    const midFloor = Math.max(midDischargeFloorSoC, dischargeFloor);
+    if (priceNowState.price >= midThreshold && socNow > midFloor + 1e-3 && dischargeWorthIt(priceNowState.price, minBuyToday, socNow)) {
+      const availOverFloor_kWh = Math.max(0, (socNow - midFloor) * batteryCapacity_kWh);
+      const allow_kW = Math.min(availOverFloor_kWh * dischargeEff / slotDur_h, dischargeMax_kW);
+      const target = Math.min(shaveGap_kW, allow_kW); // begränsa till last → ingen export
+      if (target > 0) return { mode: "discharge", power_kW: round2(target), reason: `MID: shavar import (buffert ≥ ${Math.round(midFloor*100)}%)` };
     }
   }
 
-  // 5) Ladda mot mål till midnatt om det behövs (ej över 90)
-  if (socTargetEndOfToday != null && clamp01(socNow) < socTargetEndOfToday && allowGridChargeToMeetTomorrowGoal) {
-    const p = Math.min(socLimitedCharge_kW, maxChargePower_kW);
-    if (p > 0) return { mode: "charge", power_kW: round2(p), reason: `Mot mål till midnatt (cap ${Math.round(capNow*100)}%)` };
+  return { mode: "idle", power_kW: 0, reason: "Neutral: ingen PV-överskott/pristrigger" };
+}
+
+// =================== UTGÅNGAR ===================
+// Beslutet skickas via adaptrarna i output.adapters (i ordning). En adapter: async (out) → detaljer, kastar vid fel.
+// out = { ts, mode, power_W, reason, soc, units, flexLoads, status: {…}, economy, reconciliation, planToday, planTomorrow }
+// Fel i en adapter stoppar inte de andra; sammanfattningen skrivs till taggen battery_output_error.
+
+// Taggar (String/Number-wrappers) – standardadaptern
+function publishTags(out) {
+  setTagString('battery_action', out.mode);                               // 'charge' | 'discharge' | 'idle'
+  setTagNumber('battery_power_W', out.power_W);                           // positiv W
+  setTagString('battery_reason', out.reason || '');
+  if (!out.status) return { tags: 3 };                                    // fail-safe utan SoC: bara beslutet
+
+  const st = out.status;
+  setTagNumber('battery_soc_percent', Math.round((out.soc ?? 0) * 100));
+  for (const u of out.units) {                                            // per enhet: battery_*_<id>
+    setTagString(`battery_action_${u.id}`, normalizeMode(u.mode));
+    setTagNumber(`battery_power_W_${u.id}`, Math.round(u.power_kW * 1000));
+    setTagNumber(`battery_soc_percent_${u.id}`, Math.round(u.soc * 100));
+  }
+  for (const f of out.flexLoads) {                                        // per flexibel last: flex_*_<id>
+    setTagString(`flex_action_${f.id}`, f.power_kW > 0 ? 'start' : 'stop');
+    setTagNumber(`flex_power_W_${f.id}`, Math.round(f.power_kW * 1000));
+    setTagNumber(`flex_remaining_kWh_${f.id}`, f.remaining_kWh);
   }
+  setTagNumber('price_now_SEK_per_kWh', st.price_now_SEK_per_kWh);
+  setTagNumber('target_soc_end_today_percent', st.target_soc_end_today_percent);
+  setTagNumber('battery_soc_cap_percent', st.battery_soc_cap_percent);
+  setTagNumber('solar_reserve_active', st.solar_reserve_active);
+  setTagNumber('price_sell_now_SEK_per_kWh', st.price_sell_now_SEK_per_kWh);
+  setTagNumber('tax_credit_remaining_kWh', st.tax_credit_remaining_kWh);
+  setTagNumber('battery_throughput_kWh', st.battery_throughput_kWh);
+  setTagNumber('battery_cycles', st.battery_cycles);
+  setTagNumber('battery_wear_cost_SEK', st.battery_wear_cost_SEK);
+  if (peakTariff.enabled) {
+    setTagNumber('peak_threshold_kW', round2(peakThreshold_kW()));
+    setTagNumber('peak_month_avg_kW', round2(peakMonthAvg_kW()));
+    setTagNumber('peak_window_active', inPeakWindow(nowDate()) ? 1 : 0);
+  }
+  setTagNumber('plan_power_W', st.plan_power_W);                          // planerad effekt för slotten, + laddning / − urladdning
+  setTagNumber('plan_deviation_W', st.plan_deviation_W);                  // börvärde nu − plan
+  setTagNumber('plan_soc_deviation_percent', st.plan_soc_deviation_percent); // uppmätt SoC − förra planens förväntan
+  if (st.fuse) {
+    setTagNumber('fuse_max_phase_A', st.fuse.maxPhase_A);                   // högsta fasström utan batteriet
+    setTagNumber('fuse_charge_limit_W', Math.round(st.fuse.charge_kW * 1000)); // största laddeffekt under säkringen
+  }
+  setTagNumber('pv_curtail_recommended', st.pv_curtail_recommended);
+  setTagNumber('pv_export_limit_W', st.pv_export_limit_W);              // -1 = ingen gräns
+  setTagString('price_source', st.price_source || '');
+  setTagNumber('price_stale', st.price_stale);
+  setTagString('battery_override', st.override);                         // aktiva överstyrningar med sluttid, '' = inga
+  setTagNumber('plan_day_soc_mae_percent', st.plan_day_soc_mae_percent);  // gårdagen: medelavvikelse socEnd mot uppmätt SoC
+  setTagNumber('plan_day_action_match_percent', st.plan_day_action_match_percent); // gårdagen: andel tid i planens riktning
+  setTagNumber('economy_today_cost_SEK', st.economy_today_cost_SEK);     // realiserat hittills + resten av planen
+  setTagNumber('economy_today_baseline_cost_SEK', st.economy_today_baseline_cost_SEK);
+  setTagNumber('economy_today_savings_SEK', st.economy_today_savings_SEK);
+  setTagNumber('economy_today_sell_revenue_SEK', st.economy_today_sell_revenue_SEK);
+  setTagNumber('economy_tomorrow_cost_SEK', st.economy_tomorrow_cost_SEK);
+  setTagNumber('economy_tomorrow_baseline_cost_SEK', st.economy_tomorrow_baseline_cost_SEK);
+  setTagNumber('economy_tomorrow_savings_SEK', st.economy_tomorrow_savings_SEK);
+  setTagNumber('economy_tomorrow_sell_revenue_SEK', st.economy_tomorrow_sell_revenue_SEK);
+  setTagNumber('savings_month_to_date_SEK', st.savings_month_to_date_SEK); // realiserat från uppmätta flöden
+  setTagNumber('cost_month_to_date_SEK', st.cost_month_to_date_SEK);
+
+  try { setTagString('plan_today_json', JSON.stringify(out.planToday || [])); } catch (_) { setTagString('plan_today_json', '[]'); }
+  try { setTagString('plan_tomorrow_json', JSON.stringify(out.planTomorrow || [])); } catch (_) { setTagString('plan_tomorrow_json', '[]'); }
+  if (out.flexLoads.length) setTagString('flex_plan_json', JSON.stringify(out.flexLoads));
+  setTagString('plan_economy_json', JSON.stringify(out.economy));        // { today, tomorrow, monthToDate }
+  if (out.reconciliation) setTagString('plan_reconciliation_json', JSON.stringify(out.reconciliation));
+  return { tags: "alla" };
+}
 
-  return { mode: "idle", power_kW: 0, reason: "Neutral: ingen PV-överskott/pristrigger" };
+// --- TCP (MQTT/Modbus) ---
+// Kräver Node (net); HomeyScript saknar råa socketar. run({ send, read }) där read(frameLen) väntar på en hel ram:
+// frameLen(buf) → ramens längd i byte när den går att avgöra, annars 0. Anslutningen stängs alltid efteråt.
+async function tcpExchange(host, port, timeout_ms, run) {
+  if (typeof require !== "function") throw new Error("nätverk (net) saknas – kräver Node");
+  const net = require("net");
+  const sock = net.createConnection({ host, port });
+  let buf = Buffer.alloc(0);
+  let pending = null;
+  let failure = null;
+  const pump = () => {
+    if (!pending) return;
+    const n = pending.frameLen(buf);
+    if (n > 0 && buf.length >= n) {
+      const p = pending;
+      pending = null;
+      const frame = buf.subarray(0, n);
+      buf = buf.subarray(n);
+      p.resolve(frame);
+    }
+  };
+  const fail = (e) => {
+    failure = failure || e;
+    if (pending) { pending.reject(failure); pending = null; }
+  };
+  sock.on("data", (d) => { buf = Buffer.concat([buf, d]); pump(); });
+  sock.on("error", fail);
+  sock.on("close", () => fail(new Error("anslutningen stängdes")));
+  const timer = setTimeout(() => sock.destroy(new Error(`timeout efter ${timeout_ms} ms`)), timeout_ms);
+  try {
+    await new Promise((resolve, reject) => {
+      sock.once("connect", resolve);
+      sock.once("error", reject);
+    });
+    return await run({
+      send: (b) => new Promise((resolve, reject) => {
+        if (failure) return reject(failure);
+        sock.write(b, (e) => e ? reject(e) : resolve());
+      }),
+      read: (frameLen) => new Promise((resolve, reject) => {
+        if (failure) return reject(failure);
+        pending = { frameLen, resolve, reject };
+        pump();
+      }),
+    });
+  } finally {
+    clearTimeout(timer);
+    sock.end(() => sock.destroy());
+  }
+}
+
+// --- MQTT (3.1.1, QoS 0) ---
+function mqttString(s) {
+  const b = Buffer.from(String(s), "utf8");
+  return Buffer.concat([Buffer.from([b.length >> 8, b.length & 0xff]), b]);
+}
+function mqttPacket(header, body) {
+  const len = [];
+  let n = body.length;
+  do {
+    let byte = n % 128;
+    n = Math.floor(n / 128);
+    if (n > 0) byte |= 0x80;
+    len.push(byte);
+  } while (n > 0);
+  return Buffer.concat([Buffer.from([header, ...len]), body]);
+}
+function mqttFrameLen(buf) {
+  let mult = 1;
+  let len = 0;
+  for (let i = 1; i < Math.min(buf.length, 5); i++) {
+    len += (buf[i] & 0x7f) * mult;
+    if (!(buf[i] & 0x80)) return 1 + i + len;
+    mult *= 128;
+  }
+  return 0;
+}
+
+// Ämnen (output.mqtt.topics, "" = hoppa över): setpoint = börvärdet, state = status, plan = planen. JSON-payloads.
+async function publishMqtt(out) {
+  const c = output.mqtt;
+  const messages = [
+    [c.topics.setpoint, { ts: out.ts, mode: out.mode, power_W: out.power_W, reason: out.reason, units: out.units }],
+    [c.topics.state, { ts: out.ts, soc_percent: Number.isFinite(out.soc) ? round2(out.soc * 100) : null, ...(out.status || {}), flexLoads: out.flexLoads }],
+    out.status && [c.topics.plan, { ts: out.ts, today: out.planToday, tomorrow: out.planTomorrow, economy: out.economy }],
+  ].filter(m => m && m[0]);
+  return tcpExchange(c.host, c.port, c.timeout_ms, async (io) => {
+    const flags = 0x02 | (c.username ? 0x80 : 0) | (c.password ? 0x40 : 0); // ren session
+    await io.send(mqttPacket(0x10, Buffer.concat([
+      mqttString("MQTT"), Buffer.from([4, flags, 0, 30]), mqttString(c.clientId),
+      ...(c.username ? [mqttString(c.username)] : []), ...(c.password ? [mqttString(c.password)] : []),
+    ])));
+    const ack = await io.read(mqttFrameLen);
+    if (ack[0] !== 0x20 || ack[3] !== 0) throw new Error(`MQTT-anslutning nekad (CONNACK ${ack[3]})`);
+    for (const [topic, payload] of messages) {
+      await io.send(mqttPacket(0x30 | (c.retain ? 1 : 0), Buffer.concat([mqttString(topic), Buffer.from(JSON.stringify(payload), "utf8")])));
+    }
+    await io.send(Buffer.from([0xe0, 0x00])); // DISCONNECT
+    return { topics: messages.map(([topic]) => topic) };
+  });
+}
+
+// --- Modbus TCP / SunSpec ---
+// Registeroffset i SunSpec-modell 124 (Storage), räknat från modellens ID-register
+const SUNSPEC_STORAGE = { ID: 0, WChaMax: 2, StorCtl_Mod: 5, OutWRte: 12, InWRte: 13, InOutWRte_WinTms: 14, InOutWRte_RvrtTms: 15, ChaGriSet: 17, WChaMax_SF: 18, InOutWRte_SF: 25 };
+const SUNSPEC_STORAGE_LEN = 26;
+
+function int16(v) { return v >= 0x8000 ? v - 0x10000 : v; }
+
+let modbusTransaction = 0;
+async function modbusCall(io, unitId, pdu) {
+  const tid = modbusTransaction = (modbusTransaction + 1) & 0xffff;
+  const head = Buffer.alloc(7);
+  head.writeUInt16BE(tid, 0);
+  head.writeUInt16BE(0, 2);
+  head.writeUInt16BE(pdu.length + 1, 4);
+  head.writeUInt8(unitId, 6);
+  await io.send(Buffer.concat([head, pdu]));
+  const res = await io.read(b => b.length >= 6 ? 6 + b.readUInt16BE(4) : 0);
+  if (res.readUInt16BE(0) !== tid) throw new Error(`Modbus: fel transaktions-id ${res.readUInt16BE(0)} (väntade ${tid})`);
+  if (res[7] & 0x80) throw new Error(`Modbus-undantag ${res[8]} (funktion ${res[7] & 0x7f})`);
+  return res.subarray(7);
+}
+async function modbusReadHolding(io, unitId, addr, count) {
+  const pdu = Buffer.alloc(5);
+  pdu.writeUInt8(0x03, 0);
+  pdu.writeUInt16BE(addr, 1);
+  pdu.writeUInt16BE(count, 3);
+  const res = await modbusCall(io, unitId, pdu);
+  if (res[1] !== count * 2) throw new Error(`Modbus: ${res[1]} byte svar, väntade ${count * 2}`);
+  return Array.from({ length: count }, (_, i) => res.readUInt16BE(2 + 2 * i));
+}
+async function modbusWriteMultiple(io, unitId, addr, values) {
+  const pdu = Buffer.alloc(6 + 2 * values.length);
+  pdu.writeUInt8(0x10, 0);
+  pdu.writeUInt16BE(addr, 1);
+  pdu.writeUInt16BE(values.length, 3);
+  pdu.writeUInt8(2 * values.length, 5);
+  values.forEach((v, i) => pdu.writeUInt16BE(v & 0xffff, 6 + 2 * i));
+  await modbusCall(io, unitId, pdu);
+}
+
+// InWRte/OutWRte är gränser (% av WChaMax), inte börvärden. StorCtl_Mod 3 aktiverar båda; en negativ gräns åt
+// andra hållet tvingar fram effekten: ladda = InWRte +r, OutWRte −r (och ChaGriSet = GRID så att nätladdning
+// tillåts), ladda ur = OutWRte +r, InWRte −r, vila = båda 0. InOutWRte_RvrtTms gör att växelriktaren återgår
+// själv om styrningen tystnar. Växelriktaren måste acceptera fjärrstyrning av lagringsmodellen (se dess manual).
+async function publishModbus(out) {
+  const c = output.modbus;
+  const S = SUNSPEC_STORAGE;
+  return tcpExchange(c.host, c.port, c.timeout_ms, async (io) => {
+    const regs = await modbusReadHolding(io, c.unitId, c.modelStart, SUNSPEC_STORAGE_LEN);
+    if (regs[S.ID] !== 124) throw new Error(`ingen SunSpec-lagringsmodell (124) på adress ${c.modelStart} (fick ${regs[S.ID]})`);
+    const wChaMax_W = regs[S.WChaMax] * 10 ** int16(regs[S.WChaMax_SF]);
+    if (!(wChaMax_W > 0)) throw new Error("WChaMax saknas (0 W)");
+    const rateSF = int16(regs[S.InOutWRte_SF]);
+    const rate = Math.round(Math.min(100, out.power_W / wChaMax_W * 100) / 10 ** rateSF);
+    const ctl = 3;
+    const signed = out.mode === "charge" ? -rate : out.mode === "discharge" ? rate : 0; // + ur, − in
+    const rates = [signed, -signed || 0, 0, c.revert_s];                             // OutWRte, InWRte, WinTms, RvrtTms
+    await modbusWriteMultiple(io, c.unitId, c.modelStart + S.StorCtl_Mod, [ctl]);
+    await modbusWriteMultiple(io, c.unitId, c.modelStart + S.OutWRte, rates);
+    if (out.mode === "charge") await modbusWriteMultiple(io, c.unitId, c.modelStart + S.ChaGriSet, [1]);
+    if (c.verify) {
+      const back = await modbusReadHolding(io, c.unitId, c.modelStart + S.StorCtl_Mod, S.ChaGriSet - S.StorCtl_Mod + 1);
+      const at = (k) => back[S[k] - S.StorCtl_Mod];
+      const got = [at("StorCtl_Mod"), at("OutWRte"), at("InWRte"), at("InOutWRte_WinTms"), at("InOutWRte_RvrtTms")];
+      const want = [ctl, ...rates].map(v => v & 0xffff);
+      if (out.mode === "charge") { got.push(at("ChaGriSet")); want.push(1); }
+      if (got.some((v, i) => v !== want[i])) throw new Error(`återläsning avviker: skrev ${JSON.stringify(want)}, läste ${JSON.stringify(got)}`);
+    }
+    return { StorCtl_Mod: ctl, OutWRte_pct: round2(rates[0] * 10 ** rateSF), InWRte_pct: round2(rates[1] * 10 ** rateSF), WChaMax_W: wChaMax_W, verified: c.verify };
+  });
+}
+
+const OUTPUT_ADAPTERS = { tags: publishTags, mqtt: publishMqtt, modbus: publishModbus };
+
+async function publishOutputs(out, adapters = output.adapters) {
+  const results = {};
+  const errors = [];
+  for (const name of adapters) {
+    try {
+      results[name] = { ok: true, ...(await OUTPUT_ADAPTERS[name](out)) };
+    } catch (e) {
+      results[name] = { ok: false, error: String(e.message || e) };
+      errors.push(`${name}: ${results[name].error}`);
+    }
+  }
+  if (errors.length) console.error("❌ Utgång:", errors);
+  else console.log("📤 Utgångar:", Object.keys(results).join(", "));
+  setTagString('battery_output_error', errors.join('; '));
+  return results;
 }
 
 // =================== MAIN ===================
-async function main() {
+// En körning: läs indata, planera, besluta och skriv taggar.
+// ctx (valfritt, för backtest): { argStr, prices: { todayHours, tomorrowHours, source, stale }, pvForecast }
+async function runController(ctx = {}) {
   // Indata
-  const argStr = getArgString();
+  const argStr = ctx.argStr ?? getArgString();
   console.log("🔧 Argumentsträng:", argStr);
   const parsed = parseArgString(argStr);
 
-  const battery_soc = normalizeSoc(parsed.battery_soc_raw);
+  // Konfig (fel → ingen styrning alls, hellre idle än fel batteri/fel gränser)
+  const cfgRes = await loadConfig(parsed.named, ctx.config);
+  stateNamespace = cfgRes.profile;
+  tagSuffix = cfgRes.profile ? `_${cfgRes.profile}` : "";
+  if (cfgRes.errors.length) {
+    console.error("❌ Ogiltig konfig:", cfgRes.errors);
+    setTagString('battery_action', 'idle');
+    setTagNumber('battery_power_W', 0);
+    setTagString('battery_reason', `CONFIG-FEL: ${cfgRes.errors[0]}`);
+    setTagString('battery_config_error', cfgRes.errors.join('; '));
+    return { mode: 'idle', power_kW: 0, reason: `CONFIG-FEL: ${cfgRes.errors[0]}`, soc: NaN, planToday: [], planTomorrow: [] };
+  }
+  applyConfig(cfgRes.config);
+  console.log("⚙️ Konfig:", { profil: cfgRes.profile || "(standard)", källor: cfgRes.sources.length ? cfgRes.sources : ["standard"] });
+  setTagString('battery_config_error', '');
+  setTagString('battery_config_json', JSON.stringify(redactConfig(cfgRes.config)));
+
+  // Historikfråga (history=…): svarar via taggen battery_history_json, ingen styrning
+  if (parsed.named.history != null) {
+    const res = queryHistory(parsed.named.history);
+    console.log("📜 Historik:", { fråga: res.query, poster: res.entries?.length ?? 0, fel: res.error || "–" });
+    setTagString('battery_history_json', JSON.stringify(res));
+    return { mode: 'idle', power_kW: 0, reason: 'history', soc: NaN, history: res, planToday: [], planTomorrow: [] };
+  }
+
+  // Överstyrning (tvingat läge, backup-reserv, SoC-mål) – gäller plan och realtid tills den löper ut
+  const ovr = await loadOverrides(parsed.named, cfgRes.profile);
+  if (ovr.errors.length) console.log("⚠️ Ogiltig överstyrning (ignoreras):", ovr.errors);
+  if (ovr.active.length || ovr.expired) console.log("🎛️ Överstyrning:", { aktiva: overrideSummary() || "–", utgångna: ovr.expired });
+  setTagString('battery_override_error', ovr.errors.join('; '));
+
+  // Flotta: enheternas flöden/SoC summeras; resten av logiken ser ett (aggregerat) batteri
+  const fleetIn = fleet.length ? aggregateFleetInput(parsed) : null;
+  if (fleetIn) {
+    parsed.battery_flow_W = fleetIn.battery_flow_W;
+    parsed.battery_soc_raw = fleetIn.battery_soc_raw;
+    console.log("🔋 Flotta:", fleetIn.units.map(u => ({ id: u.id, flow_W: u.flow_W, soc: u.soc_raw })));
+  }
+
   const flows_kW = normalizeFlowsFromW({
     producing_W: parsed.producing_W ?? 0,
     grid_flow_W: parsed.grid_flow_W ?? 0,
@@ -543,75 +3642,438 @@ async function main() {
     battery_soc_raw: parsed.battery_soc_raw
   });
   console.log("🔁 Normaliserade flöden (kW):", flows_kW);
-  console.log("🔋 SoC:", `${Math.round(battery_soc*100)}%`);
   console.log("⚖️ Balanscheck (kW):", bal);
 
+  // Indatakontroll: SoC kan komma från skattningen; fel → fail-safe i stället för normal styrning
+  const input = validateInputs(parsed, flows_kW, bal);
+  if (fleetIn) input.faults.push(...fleetIn.faults);
+  const battery_soc = input.soc;
+  const inputFault = input.faults.join('; ');
+  setTagString('battery_input_fault', inputFault);
+  if (input.faults.length) console.log("🚨 Indatafel:", input.faults, "| skattad SoC:", input.socEstimated != null ? `${Math.round(input.socEstimated*100)}%` : "–");
+  if (!Number.isFinite(battery_soc)) {
+    // Utan SoC går varken plan eller gränser att räkna → idle
+    const reason = `FAIL-SAFE: ${input.faults[0]}`;
+    const outputs = await publishOutputs({ ts: nowDate().toISOString(), mode: 'idle', power_W: 0, reason, soc: NaN, units: [], flexLoads: [] }, ctx.adapters);
+    recordDecision({ ts: nowDate().toISOString(), soc: null, ...historyInputs(parsed), faults: inputFault, price: null, cap: null, mode: 'idle', power_W: 0, reason, plan: null });
+    return { mode: 'idle', power_kW: 0, reason, soc: NaN, outputs, planToday: [], planTomorrow: [] };
+  }
+  console.log("🔋 SoC:", `${Math.round(battery_soc*100)}%${Number.isFinite(normalizeSoc(parsed.battery_soc_raw)) ? "" : " (skattad)"}`);
+  // Flexibla laster: levererad energi sedan förra körningen; deras effekt hålls utanför lasthistoriken (schemaläggs separat)
+  const flexLoads = updateFlexLoads(parsed.named);
+  const flexRunning_kW = flexLoads.reduce((a, l) => a + l.running_kW, 0);
+  if (input.flowsTrusted) recordLoadSample({ ...flows_kW, load_kW: Math.max(0, flows_kW.load_kW - flexRunning_kW) }); // felaktiga flöden ska inte in i lasthistoriken
+  const ledger = recordEnergyLedger(flows_kW);
+  const creditLeft_kWh = taxCreditRemaining_kWh(ledger);
+  const peakSt = recordPeakSample(flows_kW);
+  const wear = recordWear(flows_kW, battery_soc);
+  console.log("🔧 Slitage:", { urladdat_kWh: wear.discharged_kWh, cykler: round2(wear.cycles), kostnad_SEK: round2(wear.cost_SEK), nu_SEK_per_kWh: round3(wearCost_SEK_per_kWh(battery_soc)) });
+  if (peakSt) console.log("⛰️ Effekttoppar:", { tröskel_kW: round2(peakThreshold_kW(peakSt)), snitt_topp_kW: round2(peakMonthAvg_kW(peakSt)), timme_kWh: round3(peakSt.hour_kWh) });
+  console.log("🧾 Årsräkning:", { import_kWh: ledger.import_kWh, export_kWh: ledger.export_kWh, skattereduktion_kvar_kWh: round2(creditLeft_kWh) });
+  console.log("🏠 Förväntad last nu:", `${round2(expectedLoad_kW(nowDate()))} kW`);
+
   // Priser
-  const { todayHours, tomorrowHours } = await fetchTodayAndMaybeTomorrow(REGION);
-  const classesToday    = classifyPrices(todayHours);
-  const classesAll      = classifyPrices([...todayHours, ...tomorrowHours]); // för “nu”
+  const { todayHours, tomorrowHours, source: priceSource, stale: priceStale } = ctx.prices ?? await fetchTodayAndMaybeTomorrow(REGION);
+  const classesAll      = classifyPrices([...todayHours, ...tomorrowHours]); // en klassning för hela horisonten
   const priceNowState   = priceStateNow([...todayHours, ...tomorrowHours], classesAll);
-  const classesTomorrow = classifyPrices(tomorrowHours);
+  priceNowState.stale   = priceStale; // syntetiska priser → ingen nätarbitrage i realtid
   const avgBuyTodaySEK  = avgBuy(todayHours);
 
-  console.log("💸 Pris nu:", { state: priceNowState.state, price_buy_SEK_per_kWh: round2(priceNowState.price || NaN), avg_buy_today: round2(avgBuyTodaySEK) });
+  console.log("💸 Pris nu:", { source: priceSource, stale: priceStale, state: priceNowState.state, price_buy_SEK_per_kWh: round2(priceNowState.price || NaN), avg_buy_today: round2(avgBuyTodaySEK) });
 
-  // Mål SoC till midnatt (hårda gränser beaktas i computeSoCTarget…)
-  const { targetSoC, profitCheck } = computeSoCTargetForMidnight(todayHours, tomorrowHours, classesAll);
-  if (profitCheck) console.log("📈 Lönsamhetskoll inför imorgon:", profitCheck);
-  if (targetSoC != null) console.log("🎯 SoC-mål till midnatt:", `${Math.round(targetSoC*100)}%`);
+  const pvForecast = ctx.pvForecast ?? await loadPvForecast();
+  const now = nowDate();
 
-  applySolarReserveCaps(todayHours, tomorrowHours, classesAll);
-  const capNowForLog = capSoCForHour(new Date());
+  // En plan över hela kända horisonten från nu (aktuell slot förkortad till återstående tid), från uppmätt SoC
+  const horizon = [...todayHours, ...tomorrowHours]
+    .filter(h => new Date(h.end) > now)
+    .map(h => (new Date(h.start) <= now)
+      ? { ...h, duration_h: Math.max(1/60, (new Date(h.end) - now) / 3600000) }
+      : h);
+
+  // Flexibla laster schemaläggs först; batteriplanen (och solar-reserve/negativa priser) ser dem sedan som last
+  const flexPlan = scheduleFlexLoads(flexLoads, horizon, pvForecast, now);
+  const flexNow_kW = flexPlan.reduce((a, f) => a + f.power_kW, 0);
+  if (flexPlan.length) console.log("🔌 Flexibla laster:", flexPlan.map(f => ({ id: f.id, nu_kW: f.power_kW, kvar_kWh: f.remaining_kWh, deadline: f.deadline, slottar: f.slots.length, underskott_kWh: f.shortfall_kWh })));
+
+  applySolarReserveCaps(todayHours, tomorrowHours, classesAll, pvForecast);
+  applyNegativePriceHeadroom([...todayHours, ...tomorrowHours], pvForecast);
+  const capNowForLog = capSoCAt(nowDate());
   console.log("🔝 SoC-cap nu:", `${Math.round(capNowForLog*100)}%`);
 
+  const useOptimizer = dispatchStrategy === "optimizer";
+  console.log("🧮 Strategi:", useOptimizer ? "optimizer (DP)" : "percentile");
+  const planAll = useOptimizer
+    ? buildOptimalPlan(horizon, battery_soc, {
+      // Last netto efter PV-prognosen i varje slot; exportgränsen (blockerad export) kapar bara överskottet
+      loadFor: (h) => expectedLoadForSlot(h) - pvForecastFor_kW(pvForecast, h),
+    })
+    : buildPlan(horizon, classesAll, battery_soc, avgBuy(horizon));
+  const planNow = (priceNowState.slot && planAll.find(p => p.hourStartISO === priceNowState.slot.start)) || null;
+
+  // Planerad SoC vid midnatt
+  const todayKeys = new Set(todayHours.map(h => h.start));
+  const planToday = planAll.filter(p => todayKeys.has(p.hourStartISO));
+  const planTomorrow = planAll.filter(p => !todayKeys.has(p.hourStartISO));
+  const targetSoC = planToday.length ? planToday[planToday.length - 1].socEnd : null;
+  if (targetSoC != null) console.log("🎯 SoC-mål till midnatt:", `${Math.round(targetSoC*100)}%`);
+
+  // Plan mot utfall: förra körningens förväntade SoC just nu
+  const expectedSoc = expectedSocFromLastPlan(now);
+  const socDeviation = expectedSoc != null ? battery_soc - expectedSoc : 0;
+  if (expectedSoc != null) console.log("📐 SoC mot förra planen:", { förväntad: `${(expectedSoc*100).toFixed(1)}%`, avvikelse: `${(socDeviation*100).toFixed(1)}%` });
+  saveLastPlan(planAll, battery_soc, now);
+
+  // Ekonomi: förväntat per slot och dag, realiserat hittills i dag och i månaden
+  attachPlanEconomics(planAll, horizon, pvForecast);
+  const realized = recordRealizedEconomics(flows_kW, priceNowState.slot, input.flowsTrusted && !priceStale, now);
+  const economy = {
+    today: planTotals(planToday, realized.dayTotals),
+    tomorrow: planTotals(planTomorrow),
+    monthToDate: roundTotals(realized.monthTotals),
+  };
+  console.log("💰 Ekonomi (kr):", {
+    idag_kostnad: economy.today.cost_SEK, idag_besparing: economy.today.savings_SEK,
+    imorgon_besparing: planTomorrow.length ? economy.tomorrow.savings_SEK : "–", månad_besparing: economy.monthToDate.savings_SEK,
+  });
+
   // Realtidsbeslut
-  const actionNow = decideRealtime(flows_kW, battery_soc, priceNowState, targetSoC, todayHours, classesAll, avgBuyTodaySEK);
+  const prevDecision = loadDecisionState();
+  const classKey = priceClassKey(priceNowState, planNow);
+  const fuse = fuseStatus(flows_kW, parsed.named);
+  if (fuse) console.log("🧯 Huvudsäkring:", { fas_max_A: fuse.maxPhase_A, uppmätt: fuse.measured, laddning_max_kW: round2(fuse.charge_kW), skydd_kW: round2(fuse.protect_kW) });
+  const actionNow = applyMainFuse(input.faults.length
+    ? failSafeAction(flows_kW, battery_soc, input.faults, input.flowsTrusted)
+    : applyNegativePrice(
+      applyPeakTariff(
+        applyFlexLoadCover(
+          applyHysteresis(
+            decideRealtime(flows_kW, battery_soc, priceNowState, todayHours, classesAll, avgBuyTodaySEK, planNow, prevDecision),
+            prevDecision, flows_kW, battery_soc, classKey),
+          flows_kW, battery_soc, flexNow_kW, priceNowState, Math.min(...horizon.map(h => h.buy_SEK || 0))),
+        flows_kW, battery_soc),
+      flows_kW, priceNowState.slot),
+    fuse, battery_soc, priceNowState.duration_h || 1);
+  const curtail = pvCurtailment(actionNow, flows_kW, priceNowState.slot);
+  if (curtail.recommended) console.log("✂️ PV-kapning rekommenderas:", { överskott_kW: curtail.excess_kW, exportgräns_W: curtail.exportLimit_W });
+  saveDecisionState(prevDecision, actionNow, classKey);
+  clampFlexToFuse(flexPlan, flexLoads, fuse, signedPower_kW(actionNow.mode, actionNow.power_kW));
+  saveFlexState(flexLoads, flexPlan);
   const safeMode = normalizeMode(actionNow.mode);
+  const overrideInfo = overrideSummary(now);
+  const reason = overrideInfo ? `${actionNow.reason} | ÖVERSTYRNING: ${overrideInfo}` : (actionNow.reason || '');
   const power_W = Math.max(0, Math.round(actionNow.power_kW * 1000)); // positiv effekt, riktning via mode
-
-  // ===== Plan (resterande idag) =====
-  const now = new Date();
-  const futureToday = todayHours.filter(h => new Date(h.start) > now);
-  const planToday = buildPlan(futureToday, classesToday, battery_soc, avgBuyTodaySEK);
+  const unitActions = fleetIn
+    ? splitSetpoint({ mode: safeMode, power_kW: power_W / 1000 },
+        fleetIn.units.map(u => ({ ...u, soc: Number.isFinite(u.soc) ? u.soc : battery_soc })), // skattad SoC om enhetens saknas
+        priceNowState.duration_h || 1)
+    : [];
+  if (unitActions.length) console.log("🔀 Fördelning:", unitActions.map(u => `${u.id}: ${u.mode} ${u.power_kW} kW`).join(", "));
+  const planPower_W = planNow ? Math.round(plannedSignedPower_kW(planNow) * 1000) : 0;
+
+  // Historik: en post per körning; gårdagen stäms av mot planen vid första körningen efter midnatt
+  const reconciliation = recordDecision({
+    ts: now.toISOString(),
+    soc: round3(battery_soc),
+    ...historyInputs(parsed),
+    faults: inputFault,
+    price: { state: priceNowState.state, buy: round2(priceNowState.price), sell: priceNowState.slot ? round2(priceNowState.slot.sell_SEK) : null, stale: !!priceStale, source: priceSource || '' },
+    cap: round3(capNowForLog),
+    mode: safeMode,
+    power_W,
+    reason,
+    plan: planNow ? { start: planNow.hourStartISO, end: priceNowState.slot.end, decision: planNow.decision, power_kW: planNow.targetPower_kW, socEnd: planNow.socEnd } : null,
+  }, now);
+  const powerDeviation_W = Math.round(signedPower_kW(safeMode, power_W / 1000) * 1000) - planPower_W;
 
   console.log("🗓️ Plan (resterande idag):");
   if (planToday.length === 0) console.log("— Inga timmar kvar idag.");
   else planToday.forEach(p => console.log(`${p.hourStartISO} → ${p.decision.toUpperCase()} @ ${p.targetPower_kW} kW (SoC end: ${(p.socEnd*100).toFixed(1)}%) [${p.price_buy_SEK} kr/kWh]`));
 
-  const socAtMidnight = planToday.length ? planToday[planToday.length - 1].socEnd : battery_soc;
-
-  // ===== Plan (imorgon) =====
   console.log("🗓️ Plan (imorgon):");
-  let planTomorrow = [];
-  if (tomorrowHours.length === 0) {
-    console.log("— Ej tillgängligt ännu (morgondagens priser publiceras efter kl 13).");
-  } else {
-    const startSocTomorrow   = (targetSoC != null) ? targetSoC : socAtMidnight;
-    const avgBuyTomorrowSEK  = avgBuy(tomorrowHours);
-    planTomorrow = buildPlan(tomorrowHours, classesTomorrow, startSocTomorrow, avgBuyTomorrowSEK);
-    planTomorrow.forEach(p => console.log(`${p.hourStartISO} → ${p.decision.toUpperCase()} @ ${p.targetPower_kW} kW (SoC end: ${(p.socEnd*100).toFixed(1)}%) [${p.price_buy_SEK} kr/kWh]`));
+  if (tomorrowHours.length === 0) console.log("— Ej tillgängligt ännu (morgondagens priser publiceras efter kl 13).");
+  else planTomorrow.forEach(p => console.log(`${p.hourStartISO} → ${p.decision.toUpperCase()} @ ${p.targetPower_kW} kW (SoC end: ${(p.socEnd*100).toFixed(1)}%) [${p.price_buy_SEK} kr/kWh]`));
+
+  // Utgångar (taggar / MQTT / Modbus)
+  const out = {
+    ts: now.toISOString(),
+    mode: safeMode,
+    power_W,
+    reason,
+    soc: battery_soc,
+    units: unitActions,
+    flexLoads: flexPlan,
+    status: {
+      price_now_SEK_per_kWh: Number.isFinite(priceNowState.price) ? round2(priceNowState.price) : 0,
+      price_sell_now_SEK_per_kWh: (priceNowState.slot && Number.isFinite(priceNowState.slot.sell_SEK)) ? round2(priceNowState.slot.sell_SEK) : 0,
+      target_soc_end_today_percent: (targetSoC != null && Number.isFinite(targetSoC)) ? Math.round(targetSoC * 100) : 0,
+      battery_soc_cap_percent: Math.round((capNowForLog ?? HARD_MAX_SOC) * 100),
+      solar_reserve_active: (capNowForLog < HARD_MAX_SOC - 1e-6) ? 1 : 0,
+      tax_credit_remaining_kWh: round2(creditLeft_kWh),
+      battery_throughput_kWh: round2(wear.discharged_kWh),
+      battery_cycles: round2(wear.cycles),
+      battery_wear_cost_SEK: round2(wear.cost_SEK),
+      plan_power_W: planPower_W,
+      plan_deviation_W: powerDeviation_W,
+      plan_soc_deviation_percent: round2(socDeviation * 100),
+      fuse,
+      pv_curtail_recommended: curtail.recommended ? 1 : 0,
+      pv_export_limit_W: curtail.exportLimit_W,
+      price_source: priceSource || '',
+      price_stale: priceStale ? 1 : 0,
+      override: overrideInfo,
+      plan_day_soc_mae_percent: reconciliation ? reconciliation.soc_mae_percent : 0,
+      plan_day_action_match_percent: reconciliation ? reconciliation.action_match_percent : 0,
+      economy_today_cost_SEK: economy.today.cost_SEK,
+      economy_today_baseline_cost_SEK: economy.today.baselineCost_SEK,
+      economy_today_savings_SEK: economy.today.savings_SEK,
+      economy_today_sell_revenue_SEK: economy.today.sellRevenue_SEK,
+      economy_tomorrow_cost_SEK: economy.tomorrow.cost_SEK,
+      economy_tomorrow_baseline_cost_SEK: economy.tomorrow.baselineCost_SEK,
+      economy_tomorrow_savings_SEK: economy.tomorrow.savings_SEK,
+      economy_tomorrow_sell_revenue_SEK: economy.tomorrow.sellRevenue_SEK,
+      savings_month_to_date_SEK: economy.monthToDate.savings_SEK,
+      cost_month_to_date_SEK: economy.monthToDate.cost_SEK,
+    },
+    economy,
+    reconciliation,
+    planToday,
+    planTomorrow,
+  };
+  const outputs = await publishOutputs(out, ctx.adapters);
+
+  console.log("🚦 Beslut NU:", { mode: safeMode, power_kW: actionNow.power_kW, reason }, "| power_W:", power_W, "| plan_W:", planPower_W);
+
+  return { mode: safeMode, power_kW: power_W / 1000, reason, soc: battery_soc, units: unitActions, flexLoads: flexPlan, outputs, planToday, planTomorrow };
+}
+
+async function main() {
+  const result = await runController();
+  // Returnera en String (objekt) för Flow; historikfrågan returnerar svaret som JSON
+  return new String(result.history ? JSON.stringify(result.history) : result.mode);
+}
+
+// =================== BACKTEST ===================
+// Spelar upp historiska priser och flöden genom runController med injicerad klocka och integrerar SoC.
+// priceDays: { "YYYY-MM-DD": [{ start, end, spot_SEK }] }, flows: [{ time, producing_W, local_flow_W }]
+function resetRuntimeCaches() {
+  loadHistoryCached = null;
+  peakStateCached = null;
+  tibberPriceInfoCached = null;
+  eurToSekCached = null;
+  socCapOverrides.clear();
+  flexLoadSchedule.clear();
+  activeOverrides = [];
+}
+
+function priceSlotAt(slots, t) {
+  return slots.find(h => new Date(h.start) <= t && t < new Date(h.end)) || null;
+}
+
+async function simulate({ priceDays, flows, startSoc = 0.5, publishHour = 13, config = null }) {
+  // Stegets konfig gäller redan när prisslottarna byggs (tariff, påslag); den tidigare återställs efteråt
+  const cfgRes = await loadConfig({}, config);
+  if (cfgRes.errors.length) throw new Error(`Ogiltig konfig: ${cfgRes.errors.join("; ")}`);
+  const saved = { config: appliedConfig, clock, tagSink, stateOverride, stateNamespace, tagSuffix, log: console.log };
+  applyConfig(cfgRes.config);
+  stateOverride = {};
+  tagSink = () => {};
+  console.log = () => {};
+  resetRuntimeCaches();
+
+  const samples = [...flows]
+    .map(f => ({ t: new Date(f.time), prod_kW: Math.max(0, Number(f.producing_W) || 0) / 1000, load_kW: Math.max(0, Number(f.local_flow_W) || 0) / 1000 }))
+    .filter(f => !Number.isNaN(f.t.getTime()))
+    .sort((a, b) => a.t - b.t);
+
+  const rep = {
+    steps: 0, skipped: 0, hours: 0,
+    import_kWh: 0, export_kWh: 0, cost_SEK: 0,
+    baselineImport_kWh: 0, baselineExport_kWh: 0, baselineCost_SEK: 0,
+    charged_kWh: 0, discharged_kWh: 0, wear_SEK: 0, hoursAtMin: 0, hoursAtMax: 0,
+  };
+  // En cell per enhet i flottan (egen SoC, kapacitet och verkningsgrad), annars en för hela batteriet
+  const cells = fleet.length
+    ? fleet.map(u => ({ unit: u, cap_kWh: u.capacity_kWh, soc: clamp01(startSoc), battW: 0 }))
+    : [{ unit: null, cap_kWh: batteryCapacity_kWh, soc: clamp01(startSoc), battW: 0 }];
+  const siteSoc = () => cells.reduce((a, c) => a + c.soc * c.cap_kWh, 0) / cells.reduce((a, c) => a + c.cap_kWh, 0);
+  let soc = siteSoc();
+  const out = {};
+
+  try {
+    for (let k = 0; k < samples.length; k++) {
+      const s = samples[k];
+      const next = samples[k + 1];
+      const dt_h = next ? (next.t - s.t) / 3600000 : (k > 0 ? (s.t - samples[k - 1].t) / 3600000 : 0);
+      const todayRaw = priceDays[ymdString(s.t)];
+      if (!todayRaw || dt_h <= 0) { rep.skipped++; continue; }
+      const tomorrow = zonedDayStart(s.t, 1);
+      const todayHours = toPriceSlots(todayRaw);
+      const tomorrowHours = (zonedParts(s.t).hour >= publishHour && priceDays[ymdString(tomorrow)]) ? toPriceSlots(priceDays[ymdString(tomorrow)]) : [];
+
+      clock = () => new Date(s.t);
+      const battW = cells.reduce((a, c) => a + c.battW, 0);
+      const grid_W = Math.round((s.load_kW - s.prod_kW) * 1000 - battW);
+      const unitArgs = cells.map(c => `${Math.round(c.battW)};${round2(c.soc * 100)}`).join(";"); // ett flöde/SoC-par per enhet
+      const argStr = `${Math.round(s.prod_kW * 1000)};${grid_W};${Math.round(s.load_kW * 1000)};${unitArgs}`;
+      const r = await runController({ argStr, config, prices: { todayHours, tomorrowHours, source: "backtest", stale: false }, pvForecast: [], adapters: ["tags"] });
+      if (Number.isNaN(r.soc)) throw new Error(r.reason);
+
+      // Varje enhet följer sin del av börvärdet inom fysiska gränser (0–100%, effekt- och verkningsgradskurvor)
+      const actions = fleet.length ? r.units : [r];
+      let charge_kW = 0;
+      let discharge_kW = 0;
+      cells.forEach((c, i) => {
+        const a = actions[i] || { mode: "idle", power_kW: 0 };
+        let ch_kW = 0;
+        let dis_kW = 0;
+        if (a.mode === "charge") {
+          const st = integrateCharge(c.soc, a.power_kW, dt_h, 1, c.cap_kWh, c.unit);
+          ch_kW = st.grid_kWh / dt_h;
+          c.soc = clamp01(st.soc);
+        } else if (a.mode === "discharge") {
+          const st = integrateDischarge(c.soc, a.power_kW, dt_h, 0, c.cap_kWh, c.unit);
+          dis_kW = st.out_kWh / dt_h;
+          c.soc = clamp01(st.soc);
+          rep.wear_SEK += st.taken_kWh * wearCost_SEK_per_kWh(c.soc);
+        }
+        c.battW = (dis_kW - ch_kW) * 1000;
+        charge_kW += ch_kW;
+        discharge_kW += dis_kW;
+      });
+      soc = siteSoc();
+
+      const slot = priceSlotAt(todayHours, s.t);
+      const buy = slot ? slot.buy_SEK : 0;
+      const sell = slot ? slot.sell_SEK : 0;
+      const grid_kW = s.load_kW - s.prod_kW + charge_kW - discharge_kW;
+      const base_kW = s.load_kW - s.prod_kW;
+      rep.import_kWh += Math.max(0, grid_kW) * dt_h;
+      rep.export_kWh += Math.max(0, -grid_kW) * dt_h;
+      rep.cost_SEK += (grid_kW > 0 ? grid_kW * buy : grid_kW * sell) * dt_h;
+      rep.baselineImport_kWh += Math.max(0, base_kW) * dt_h;
+      rep.baselineExport_kWh += Math.max(0, -base_kW) * dt_h;
+      rep.baselineCost_SEK += (base_kW > 0 ? base_kW * buy : base_kW * sell) * dt_h;
+      rep.charged_kWh += charge_kW * dt_h;
+      rep.discharged_kWh += discharge_kW * dt_h;
+      if (soc <= HARD_MIN_SOC + 0.005) rep.hoursAtMin += dt_h;
+      if (soc >= HARD_MAX_SOC - 0.005) rep.hoursAtMax += dt_h;
+      rep.hours += dt_h;
+      rep.steps++;
+    }
+
+    // Cykler räknas med simuleringens batteri, före återställningen
+    for (const [k, v] of Object.entries(rep)) out[k] = Number.isInteger(v) ? v : round2(v);
+    out.savings_SEK = round2(rep.baselineCost_SEK - rep.cost_SEK);
+    out.netSavings_SEK = round2(rep.baselineCost_SEK - rep.cost_SEK - rep.wear_SEK); // efter slitage
+    out.cycles = round2((rep.charged_kWh * chargeEff + rep.discharged_kWh / dischargeEff) / 2 / batteryCapacity_kWh);
+    out.endSoc = round3(soc);
+    if (fleet.length) out.unitEndSoc = Object.fromEntries(cells.map(c => [c.unit.id, round3(c.soc)]));
+  } finally {
+    applyConfig(saved.config);
+    clock = saved.clock;
+    tagSink = saved.tagSink;
+    stateOverride = saved.stateOverride;
+    stateNamespace = saved.stateNamespace;
+    tagSuffix = saved.tagSuffix;
+    console.log = saved.log;
+    resetRuntimeCaches();
   }
+  return out;
+}
 
-  // =================== TAGS (String/Number wrappers) ===================
-  setTagString('battery_action', safeMode);                               // 'charge' | 'discharge' | 'idle'
-  setTagNumber('battery_power_W', power_W);                               // positiv W
-  setTagString('battery_reason', actionNow.reason || '');
+// Inspelade prisfiler: elprisetjustnu-format ({ time_start, time_end, SEK_per_kWh }) eller { start, end, spot_SEK }
+function groupRecordedPrices(records) {
+  const days = {};
+  for (const p of records) {
+    const start = p.start ?? p.time_start;
+    const end = p.end ?? p.time_end;
+    const spot_SEK = Number(p.spot_SEK ?? p.SEK_per_kWh);
+    if (!start || !end || !Number.isFinite(spot_SEK)) continue;
+    const key = ymdString(new Date(start));
+    (days[key] = days[key] || []).push({ start, end, spot_SEK });
+  }
+  return days;
+}
 
-  setTagNumber('battery_soc_percent', Math.round((battery_soc ?? 0) * 100));
-  setTagNumber('price_now_SEK_per_kWh', Number.isFinite(priceNowState.price) ? round2(priceNowState.price) : 0);
-  setTagNumber('target_soc_end_today_percent', (targetSoC != null && Number.isFinite(targetSoC)) ? Math.round(targetSoC * 100) : 0);
-  setTagNumber('battery_soc_cap_percent', Math.round((capNowForLog ?? HARD_MAX_SOC) * 100));
-  setTagNumber('solar_reserve_active', (capNowForLog < HARD_MAX_SOC - 1e-6) ? 1 : 0);
+// Flöden som JSON-array eller CSV med rubrikrad "time,producing_W,local_flow_W"
+function parseRecordedFlows(text) {
+  const t = text.trim();
+  if (t.startsWith("[")) return JSON.parse(t);
+  const [head, ...rows] = t.split(/\r?\n/);
+  const cols = head.split(",").map(c => c.trim());
+  return rows.filter(Boolean).map(r => {
+    const v = r.split(",");
+    const o = {};
+    cols.forEach((c, i) => { o[c] = (c === "time") ? v[i].trim() : Number(v[i]); });
+    return o;
+  });
+}
 
-  try { setTagString('plan_today_json', JSON.stringify(planToday || [])); } catch (_) { setTagString('plan_today_json', '[]'); }
-  try { setTagString('plan_tomorrow_json', JSON.stringify(planTomorrow || [])); } catch (_) { setTagString('plan_tomorrow_json', '[]'); }
+// Skickar ett börvärde genom de konfigurerade adaptrarna (t.ex. mot lokal MQTT-broker eller Modbus-simulator)
+async function runOutputTestCli(opt) {
+  const fs = require("fs");
+  const [mode, watts] = String(opt["output-test"]).split(":");
+  const cfgRes = await loadConfig({}, opt.config ? JSON.parse(fs.readFileSync(opt.config, "utf8")) : null);
+  if (cfgRes.errors.length) {
+    console.error("❌ Ogiltig konfig:", cfgRes.errors);
+    return;
+  }
+  applyConfig(cfgRes.config);
+  tagSink = (name, value) => console.log(`🏷️ ${name} = ${value}`);
+  const results = await publishOutputs({
+    ts: nowDate().toISOString(), mode: normalizeMode(mode), power_W: Math.max(0, Math.round(Number(watts) || 0)),
+    reason: "output-test", soc: NaN, units: [], flexLoads: [],
+  });
+  console.log(JSON.stringify(results, null, 2));
+}
 
-  console.log("🚦 Beslut NU:", { mode: safeMode, power_kW: actionNow.power_kW, reason: actionNow.reason }, "| power_W:", power_W);
+// Historiken i lagringsfilen (storageFile) utan att styra något
+async function runHistoryCli(opt) {
+  const fs = require("fs");
+  const cfgRes = await loadConfig({ profile: opt.profile }, opt.config ? JSON.parse(fs.readFileSync(opt.config, "utf8")) : null);
+  if (cfgRes.errors.length) {
+    console.error("❌ Ogiltig konfig:", cfgRes.errors);
+    return;
+  }
+  applyConfig(cfgRes.config);
+  stateNamespace = cfgRes.profile;
+  console.log(JSON.stringify(queryHistory(opt.history), null, 2));
+}
 
-  // Returnera en String (objekt) för Flow
-  return new String(safeMode);
+// node battery.js --prices a.json,b.json --flows flows.csv [--soc 50] [--config override.json]
+// node battery.js --output-test charge:1500 [--config override.json]
+// node battery.js --history last:20|YYYY-MM-DD|today|yesterday [--config override.json] [--profile namn]
+async function runBacktestCli(argv) {
+  const fs = require("fs");
+  const opt = {};
+  for (let i = 0; i < argv.length; i += 2) opt[argv[i].replace(/^--/, "")] = argv[i + 1];
+  if (opt["output-test"]) return runOutputTestCli(opt);
+  if (opt.history) return runHistoryCli(opt);
+  if (!opt.prices || !opt.flows) {
+    console.error("Användning: node battery.js --prices <fil[,fil…]> --flows <fil> [--soc <procent>] [--config <fil>]");
+    console.error("       node battery.js --output-test <charge|discharge|idle>:<W> [--config <fil>]");
+    console.error("       node battery.js --history <last:N|YYYY-MM-DD|today|yesterday> [--config <fil>] [--profile <namn>]");
+    return;
+  }
+  const records = opt.prices.split(",").flatMap(f => JSON.parse(fs.readFileSync(f.trim(), "utf8")));
+  const report = await simulate({
+    priceDays: groupRecordedPrices(records),
+    flows: parseRecordedFlows(fs.readFileSync(opt.flows, "utf8")),
+    startSoc: normalizeSoc(Number(opt.soc ?? 50)),
+    config: opt.config ? JSON.parse(fs.readFileSync(opt.config, "utf8")) : null,
+  });
+  console.log(JSON.stringify(report, null, 2));
 }
 
-// Kör
-return await main();
+// Kör: HomeyScript → main(). Under Node (utan tag) exporteras logiken för backtest och testerna i test/.
+if (typeof tag === "undefined" && typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    runController, simulate, groupRecordedPrices, parseRecordedFlows,
+    loadConfig, applyConfig, zonedParts, zonedDayStart, synthesizeDay, inPeakWindow,
+    PRICE_PROVIDERS, parseEntsoeXml, OUTPUT_ADAPTERS, peakPenalty_SEK, optimizeDispatch, recordDecision, queryHistory,
+  };
+  if (require.main === module) runBacktestCli(process.argv.slice(2));
+} else {
+  return main();
+}
@@ -0,0 +1,64 @@
+// 23- och 25-timmarsdygn (sommartid in/ut) i Europe/Stockholm, oberoende av värdens tidszon
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { battery, configure, withHostTz, HOST_TZS } = require("./helpers");
+
+const SPRING = new Date("2026-03-29T10:00:00Z"); // 02:00 → 03:00, 23 h
+const AUTUMN = new Date("2026-10-25T10:00:00Z"); // 03:00 → 02:00, 25 h
+
+// Ett cachat dygn med 15-minuterspriser (källa för synthesizeDay)
+function quarterDay(date) {
+  const start = battery.zonedDayStart(date).getTime();
+  const end = battery.zonedDayStart(date, 1).getTime();
+  const slots = [];
+  for (let t = start; t < end; t += 900000) {
+    slots.push({ start: new Date(t).toISOString(), end: new Date(t + 900000).toISOString(), spot_SEK: 1 });
+  }
+  return slots;
+}
+
+test.before(() => configure({
+  peakTariff: { enabled: true, weekdays: [0, 1, 2, 3, 4, 5, 6], fromHour: 7, toHour: 20 },
+}));
+
+for (const hostTz of HOST_TZS) {
+  test(`zonedDayStart ger lokal midnatt och 23/25 h långa dygn (värd ${hostTz})`, () => withHostTz(hostTz, () => {
+    assert.equal(battery.zonedDayStart(SPRING).toISOString(), "2026-03-28T23:00:00.000Z");
+    assert.equal(battery.zonedDayStart(SPRING, 1).toISOString(), "2026-03-29T22:00:00.000Z");
+    assert.equal(battery.zonedDayStart(AUTUMN).toISOString(), "2026-10-24T22:00:00.000Z");
+    assert.equal(battery.zonedDayStart(AUTUMN, 1).toISOString(), "2026-10-25T23:00:00.000Z");
+    // Sent på kvällen (UTC redan nästa dygn i öster) hör fortfarande till samma lokala dygn
+    assert.equal(battery.zonedDayStart(new Date("2026-10-25T22:30:00Z")).toISOString(), "2026-10-24T22:00:00.000Z");
+  }));
+
+  test(`antal slottar per dygn följer dygnets längd (värd ${hostTz})`, () => withHostTz(hostTz, () => {
+    assert.equal(battery.synthesizeDay({}, SPRING, "SE3").slots.length, 23);
+    assert.equal(battery.synthesizeDay({}, AUTUMN, "SE3").slots.length, 25);
+
+    const cache = {
+      "SE3:2026-03-28": { provider: "test", slots: quarterDay(new Date("2026-03-28T10:00:00Z")) },
+      "SE3:2026-10-24": { provider: "test", slots: quarterDay(new Date("2026-10-24T10:00:00Z")) },
+    };
+    const spring = battery.synthesizeDay(cache, SPRING, "SE3").slots;
+    const autumn = battery.synthesizeDay(cache, AUTUMN, "SE3").slots;
+    assert.equal(spring.length, 92);
+    assert.equal(autumn.length, 100);
+    assert.equal(spring[0].start, "2026-03-28T23:00:00.000Z");
+    assert.equal(autumn[autumn.length - 1].end, "2026-10-25T23:00:00.000Z");
+  }));
+
+  test(`avgiftsfönstret följer lokal klocka 07–20 (värd ${hostTz})`, () => withHostTz(hostTz, () => {
+    for (const [date, firstUtc, lastUtc] of [[SPRING, "05:00", "17:00"], [AUTUMN, "06:00", "18:00"]]) {
+      const inWindow = battery.synthesizeDay({}, date, "SE3").slots.filter(h => battery.inPeakWindow(h.start));
+      assert.equal(inWindow.length, 13);
+      assert.deepEqual(inWindow.map(h => battery.zonedParts(h.start).hour), [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
+      assert.equal(inWindow[0].start.slice(11, 16), firstUtc);
+      assert.equal(inWindow[inWindow.length - 1].start.slice(11, 16), lastUtc);
+    }
+    // Dubblerad timme 02:00 (höst) och saknad timme 02:00 (vår) ligger utanför fönstret
+    const autumnHours = battery.synthesizeDay({}, AUTUMN, "SE3").slots.map(h => battery.zonedParts(h.start).hour);
+    assert.equal(autumnHours.filter(hh => hh === 2).length, 2);
+    const springHours = battery.synthesizeDay({}, SPRING, "SE3").slots.map(h => battery.zonedParts(h.start).hour);
+    assert.ok(!springHours.includes(2));
+  }));
+}
@@ -0,0 +1,54 @@
+// Gemensamt för testerna: effektiv konfig med lagring i en temporär fil (rör aldrig ./battery-state.json)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const battery = require("../battery.js");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "battery-test-"));
+
+async function configure(overrides = {}) {
+  const res = await battery.loadConfig({}, { storageFile: path.join(tmpDir, "state.json"), ...overrides });
+  if (res.errors.length) throw new Error(`Ogiltig testkonfig: ${res.errors.join("; ")}`);
+  battery.applyConfig(res.config);
+  return res.config;
+}
+
+// Kör fn med värdens tidszon satt till tz (Node läser om TZ när variabeln ändras)
+function withHostTz(tz, fn) {
+  const saved = process.env.TZ;
+  process.env.TZ = tz;
+  try { return fn(); }
+  finally {
+    if (saved === undefined) delete process.env.TZ;
+    else process.env.TZ = saved;
+  }
+}
+
+const HOST_TZS = ["UTC", "America/New_York", "Asia/Kolkata"];
+
+const FIXTURES = path.join(__dirname, "fixtures");
+function fixture(name) { return fs.readFileSync(path.join(FIXTURES, name), "utf8"); }
+
+// Lokal HTTP-stubbe på 127.0.0.1: handler(req, url, body) → { status, type, body } (null = 404). Alla anrop sparas i requests.
+function startHttpStub(handler) {
+  const http = require("http");
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://127.0.0.1");
+      requests.push({ method: req.method, url, headers: req.headers, body });
+      const out = handler(req, url, body) || { status: 404, body: "" };
+      res.writeHead(out.status ?? 200, { "Content-Type": out.type || "application/json" });
+      res.end(out.body ?? "");
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((r) => server.close(r)),
+  })));
+}
+
+module.exports = { battery, configure, withHostTz, HOST_TZS, tmpDir, fixture, startHttpStub };
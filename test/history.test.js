@@ -0,0 +1,56 @@
+// Beslutsloggen: en hink per dygn, så att gårdagens tidslinje finns kvar även med täta körningar
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { battery, configure, tmpDir } = require("./helpers");
+
+const DAY1 = Date.parse("2026-10-17T22:00:00Z"); // 2026-10-18 00:00 lokal tid
+
+const entry = (ms) => ({ ts: new Date(ms).toISOString(), soc: 0.5, grid_W: 0, batt_W: 0, mode: "idle", power_W: 0, reason: "test", plan: null });
+
+function record(fromMs, toMs, step_min) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    for (let t = fromMs; t < toMs; t += step_min * 60000) battery.recordDecision(entry(t), new Date(t));
+  } finally { console.log = log; }
+}
+
+test("gårdagens tidslinje finns kvar med körning varannan minut", async () => {
+  await configure({ storageFile: path.join(tmpDir, "history-dense.json") });
+  record(DAY1, DAY1 + 86400000 + 3600000, 2); // hela 18 oktober + första timmen den 19
+  const now = new Date(DAY1 + 86400000 + 3600000);
+  const yesterday = battery.queryHistory("yesterday", now);
+  assert.equal(yesterday.day, "2026-10-18");
+  assert.equal(yesterday.entries.length, 720);
+  assert.equal(yesterday.entries[0].ts, new Date(DAY1).toISOString());
+  assert.equal(battery.queryHistory("today", now).entries.length, 30);
+  // last:N läser bakåt över dygnsgränsen
+  const last = battery.queryHistory("last:40", now).entries;
+  assert.equal(last.length, 40);
+  assert.equal(last[39].ts, new Date(DAY1 + 86400000 + 3600000 - 120000).toISOString());
+});
+
+test("dygn äldre än keepDays tas bort", async () => {
+  await configure({ storageFile: path.join(tmpDir, "history-prune.json"), history: { keepDays: 2 } });
+  record(DAY1, DAY1 + 3600000, 30);
+  const later = DAY1 + 5 * 86400000;
+  record(later, later + 3600000, 30);
+  assert.deepEqual(battery.queryHistory("2026-10-18", new Date(later)).entries, []);
+  assert.equal(battery.queryHistory("today", new Date(later)).entries.length, 2);
+  const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, "history-prune.json"), "utf8"));
+  assert.deepEqual(stored.battery_decision_history, { days: ["2026-10-23"] });
+});
+
+test("logg i det äldre formatet (en lista) delas upp per dygn", async () => {
+  const file = path.join(tmpDir, "history-legacy.json");
+  const old = [DAY1, DAY1 + 3600000, DAY1 + 86400000].map(entry);
+  fs.writeFileSync(file, JSON.stringify({ battery_decision_history: old }));
+  await configure({ storageFile: file });
+  const now = new Date(DAY1 + 86400000 + 600000);
+  assert.equal(battery.queryHistory("2026-10-18", now).entries.length, 2);
+  record(now.getTime(), now.getTime() + 1, 1);
+  assert.equal(battery.queryHistory("today", now).entries.length, 2);
+  assert.equal(battery.queryHistory("last:10", now).entries.length, 4);
+});
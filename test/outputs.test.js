@@ -0,0 +1,178 @@
+// Utgångsadaptrarna mot lokala stubbar: MQTT-broker (CONNECT/PUBLISH) och SunSpec-modell 124 över Modbus TCP
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { battery, configure } = require("./helpers");
+
+const MODEL_START = 40343;
+
+// Minimal MQTT 3.1.1-broker: svarar CONNACK (returnCode), sparar CONNECT och PUBLISH tills DISCONNECT
+function startMqttStub(returnCode = 0) {
+  const sessions = [];
+  const server = net.createServer((sock) => {
+    const session = { connect: null, publishes: [], disconnected: false };
+    session.closed = new Promise((r) => sock.on("close", r));
+    sessions.push(session);
+    let buf = Buffer.alloc(0);
+    sock.on("data", (d) => {
+      buf = Buffer.concat([buf, d]);
+      for (;;) {
+        let len = 0, mult = 1, i = 1;
+        for (; i < buf.length; i++) {
+          len += (buf[i] & 0x7f) * mult;
+          mult *= 128;
+          if (!(buf[i] & 0x80)) break;
+        }
+        if (i >= buf.length || buf.length < 1 + i + len) return;
+        const type = buf[0] >> 4;
+        const body = buf.subarray(1 + i, 1 + i + len);
+        const flags = buf[0] & 0x0f;
+        buf = buf.subarray(1 + i + len);
+        const str = (b, at) => b.subarray(at + 2, at + 2 + b.readUInt16BE(at)).toString("utf8");
+        if (type === 1) {
+          const protocol = str(body, 0);
+          const at = 2 + protocol.length;
+          session.connect = { protocol, level: body[at], flags: body[at + 1], keepAlive: body.readUInt16BE(at + 2), clientId: str(body, at + 4) };
+          sock.write(Buffer.from([0x20, 0x02, 0x00, returnCode]));
+        } else if (type === 3) {
+          const topic = str(body, 0);
+          session.publishes.push({ topic, retain: !!(flags & 1), qos: (flags >> 1) & 3, payload: JSON.parse(body.subarray(2 + Buffer.byteLength(topic)).toString("utf8")) });
+        } else if (type === 14) {
+          session.disconnected = true;
+          sock.end();
+        }
+      }
+    });
+    sock.on("error", () => {});
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve({
+    port: server.address().port, sessions, close: () => new Promise((r) => server.close(r)),
+  })));
+}
+
+// Modbus TCP-server med holdingregister: SunSpec-modell 124 vid MODEL_START. ignoreWrites simulerar en
+// växelriktare som kvitterar skrivningar utan att ändra registren (återläsningen ska då avvika).
+function startModbusStub({ ignoreWrites = false } = {}) {
+  const regs = new Map();
+  const set = (addr, v) => regs.set(addr, v & 0xffff);
+  set(MODEL_START, 124);          // ID
+  set(MODEL_START + 1, 24);       // L
+  set(MODEL_START + 2, 500);      // WChaMax = 500 × 10^1 = 5000 W
+  set(MODEL_START + 18, 1);       // WChaMax_SF
+  set(MODEL_START + 25, -2);      // InOutWRte_SF → 0,01 %
+  const writes = [];
+  const server = net.createServer((sock) => {
+    let buf = Buffer.alloc(0);
+    sock.on("data", (d) => {
+      buf = Buffer.concat([buf, d]);
+      while (buf.length >= 6 && buf.length >= 6 + buf.readUInt16BE(4)) {
+        const frame = buf.subarray(0, 6 + buf.readUInt16BE(4));
+        buf = buf.subarray(frame.length);
+        const fc = frame[7];
+        const addr = frame.readUInt16BE(8);
+        const count = frame.readUInt16BE(10);
+        let pdu;
+        if (fc === 0x03) {
+          pdu = Buffer.alloc(2 + 2 * count);
+          pdu[0] = 0x03;
+          pdu[1] = 2 * count;
+          for (let i = 0; i < count; i++) pdu.writeUInt16BE(regs.get(addr + i) || 0, 2 + 2 * i);
+        } else if (fc === 0x10) {
+          const values = Array.from({ length: count }, (_, i) => frame.readUInt16BE(13 + 2 * i));
+          writes.push({ addr, values });
+          if (!ignoreWrites) values.forEach((v, i) => set(addr + i, v));
+          pdu = Buffer.from([0x10, addr >> 8, addr & 0xff, count >> 8, count & 0xff]);
+        } else {
+          pdu = Buffer.from([fc | 0x80, 0x01]);
+        }
+        const head = Buffer.alloc(7);
+        frame.copy(head, 0, 0, 4);
+        head.writeUInt16BE(pdu.length + 1, 4);
+        head[6] = frame[6];
+        sock.write(Buffer.concat([head, pdu]));
+      }
+    });
+    sock.on("error", () => {});
+  });
+  const reg = (offset) => { const v = regs.get(MODEL_START + offset) || 0; return v >= 0x8000 ? v - 0x10000 : v; };
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve({
+    port: server.address().port, reg, writes, close: () => new Promise((r) => server.close(r)),
+  })));
+}
+
+const decision = (mode, power_W) => ({
+  ts: "2026-10-19T10:05:00.000Z", mode, power_W, reason: "test", soc: 0.55,
+  units: [], flexLoads: [], status: { price_now_SEK_per_kWh: 1.2 }, economy: { today: null },
+  planToday: [{ hourStartISO: "2026-10-19T10:00:00.000Z", decision: "charge" }], planTomorrow: [],
+});
+
+test("MQTT: CONNECT med klient-id och inloggning, en PUBLISH per ämne, DISCONNECT", async () => {
+  const broker = await startMqttStub();
+  try {
+    await configure({ output: { mqtt: { host: "127.0.0.1", port: broker.port, clientId: "bc-test", username: "u", password: "p", timeout_ms: 2000 } } });
+    const res = await battery.OUTPUT_ADAPTERS.mqtt(decision("charge", 1500));
+    assert.deepEqual(res.topics, ["battery/setpoint", "battery/state", "battery/plan"]);
+    const [s] = broker.sessions;
+    await s.closed;
+    assert.deepEqual({ ...s.connect }, { protocol: "MQTT", level: 4, flags: 0xc2, keepAlive: 30, clientId: "bc-test" });
+    assert.equal(s.disconnected, true);
+    assert.deepEqual(s.publishes.map(p => [p.topic, p.retain, p.qos]), [
+      ["battery/setpoint", true, 0], ["battery/state", true, 0], ["battery/plan", true, 0],
+    ]);
+    assert.equal(s.publishes[0].payload.mode, "charge");
+    assert.equal(s.publishes[0].payload.power_W, 1500);
+    assert.equal(s.publishes[1].payload.soc_percent, 55);
+    assert.equal(s.publishes[1].payload.price_now_SEK_per_kWh, 1.2);
+    assert.equal(s.publishes[2].payload.today[0].decision, "charge");
+  } finally { await broker.close(); }
+});
+
+test("MQTT: nekad anslutning (CONNACK ≠ 0) blir fel", async () => {
+  const broker = await startMqttStub(5);
+  try {
+    await configure({ output: { mqtt: { host: "127.0.0.1", port: broker.port, timeout_ms: 2000 } } });
+    await assert.rejects(battery.OUTPUT_ADAPTERS.mqtt(decision("idle", 0)), /CONNACK 5/);
+    assert.equal(broker.sessions[0].publishes.length, 0);
+  } finally { await broker.close(); }
+});
+
+for (const [mode, power_W, outRte, inRte, griSet] of [
+  ["charge", 2000, -4000, 4000, 1],    // 2000 / 5000 W = 40,00 % (SF −2)
+  ["discharge", 5000, 10000, -10000, 0],
+  ["idle", 0, 0, 0, 0],
+]) {
+  test(`Modbus/SunSpec 124: ${mode} skrivs, läses tillbaka och verifieras`, async () => {
+    const inverter = await startModbusStub();
+    try {
+      await configure({ output: { modbus: { host: "127.0.0.1", port: inverter.port, modelStart: MODEL_START, revert_s: 600, verify: true, timeout_ms: 2000 } } });
+      const res = await battery.OUTPUT_ADAPTERS.modbus(decision(mode, power_W));
+      assert.equal(res.verified, true);
+      assert.equal(res.WChaMax_W, 5000);
+      assert.equal(inverter.reg(5), 3);         // StorCtl_Mod: båda gränserna aktiva
+      assert.equal(inverter.reg(12), outRte);   // OutWRte
+      assert.equal(inverter.reg(13), inRte);    // InWRte
+      assert.equal(inverter.reg(15), 600);      // InOutWRte_RvrtTms
+      assert.equal(inverter.reg(17), griSet);   // ChaGriSet = GRID vid laddning
+      assert.equal(res.OutWRte_pct, outRte / 100);
+      assert.equal(res.InWRte_pct, inRte / 100);
+    } finally { await inverter.close(); }
+  });
+}
+
+test("Modbus/SunSpec 124: avvikande återläsning blir fel", async () => {
+  const inverter = await startModbusStub({ ignoreWrites: true });
+  try {
+    await configure({ output: { modbus: { host: "127.0.0.1", port: inverter.port, modelStart: MODEL_START, verify: true, timeout_ms: 2000 } } });
+    await assert.rejects(battery.OUTPUT_ADAPTERS.modbus(decision("charge", 1000)), /återläsning avviker/);
+    assert.ok(inverter.writes.length >= 2);
+  } finally { await inverter.close(); }
+});
+
+test("Modbus: fel modell-ID på adressen avbryter före skrivning", async () => {
+  const inverter = await startModbusStub();
+  try {
+    await configure({ output: { modbus: { host: "127.0.0.1", port: inverter.port, modelStart: MODEL_START + 1, timeout_ms: 2000 } } });
+    await assert.rejects(battery.OUTPUT_ADAPTERS.modbus(decision("charge", 1000)), /SunSpec-lagringsmodell/);
+    assert.equal(inverter.writes.length, 0);
+  } finally { await inverter.close(); }
+});
@@ -0,0 +1,53 @@
+// Effektavgift: toppen är ett timmedel, så straffet per timme är detsamma med 15- och 60-minutersslottar
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { battery, configure } = require("./helpers");
+
+const H = Date.parse("2026-10-19T10:00:00Z"); // måndag 12:00 lokal tid, i avgiftsfönstret
+const L = Date.parse("2026-10-19T18:00:00Z"); // 20:00, utanför fönstret
+
+function slots(fromMs, minutes, buy_SEK) {
+  return Array.from({ length: 60 / minutes }, (_, i) => ({
+    start: new Date(fromMs + i * minutes * 60000).toISOString(),
+    end: new Date(fromMs + (i + 1) * minutes * 60000).toISOString(),
+    duration_h: minutes / 60,
+    buy_SEK,
+    sell_SEK: 0,
+  }));
+}
+
+test.before(() => configure({
+  peakTariff: { enabled: true, fee_SEK_per_kW: 3, topN: 3, weekdays: [0, 1, 2, 3, 4, 5, 6], fromHour: 7, toHour: 20, initialLimit_kW: 3, margin_kW: 0.2 },
+}));
+
+test("straffet för en timme över toppen är oberoende av slotlängd", () => {
+  const [hour] = slots(H, 60, 1);
+  const quarters = slots(H, 15, 1);
+  const perHour = battery.peakPenalty_SEK(hour, 5);
+  const perQuarters = quarters.reduce((a, q) => a + battery.peakPenalty_SEK(q, 5), 0);
+  assert.ok(perHour > 0);
+  assert.ok(Math.abs(perHour - perQuarters) < 1e-9);
+  // En enstaka kvart över toppen höjer timmedlet med en fjärdedel av överskottet
+  assert.ok(Math.abs(battery.peakPenalty_SEK(quarters[0], 5) - perHour / 4) < 1e-9);
+  assert.equal(battery.peakPenalty_SEK(slots(L, 60, 1)[0], 5), 0);
+});
+
+test("optimeraren kapar toppen lika mycket med 15- som 60-minutersslottar", () => {
+  // 3 kWh i batteriet räcker till antingen toppkapning (1 + 1 kr/kWh) eller kvällen (3 kr/kWh)
+  const plan = (minutes) => {
+    const hs = [...slots(H, minutes, 1), ...slots(L, minutes, 3)];
+    const schedule = battery.optimizeDispatch(hs, 0.4, {
+      capacity_kWh: 10, minSoc: 0.1, maxSoc: 0.9, maxCharge_kW: 0, maxDischarge_kW: 5, roundTripEff: 1, socStep: 0.01,
+      loadFor: () => 5, capFor: () => 1, floorFor: () => 0, forceFor: () => null, minSocEnd: [], wearFor: () => 0,
+      importLimitFor: () => Infinity, exportLimitFor: () => Infinity,
+    });
+    const inHour = (ms) => schedule.filter(s => Date.parse(s.slot.start) >= ms && Date.parse(s.slot.start) < ms + 3600000);
+    const sum = (rows) => rows.reduce((a, s) => a + s.discharge_kWh, 0);
+    return { peak: sum(inHour(H)), evening: sum(inHour(L)) };
+  };
+  const hourly = plan(60);
+  const quarterly = plan(15);
+  assert.ok(Math.abs(hourly.peak - quarterly.peak) < 0.05, `60 min: ${hourly.peak} kWh, 15 min: ${quarterly.peak} kWh`);
+  assert.ok(Math.abs(hourly.evening - quarterly.evening) < 0.05);
+  assert.ok(quarterly.evening > 2.9); // kvällen är värd mer än toppkapningen
+});
@@ -0,0 +1,99 @@
+// Prisleverantörerna mot en lokal HTTP-stubbe med sparade svar (test/fixtures)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { battery, configure, fixture, startHttpStub } = require("./helpers");
+
+const DAY = new Date("2026-10-19T10:00:00Z");
+const DAY_START = "2026-10-18T22:00:00.000Z";
+const DAY_END = "2026-10-19T22:00:00.000Z";
+
+let stub;
+test.before(async () => {
+  await configure({ currency: { eurToSek: 11.5, fxUrl: "" } });
+  stub = await startHttpStub((req, url) => {
+    if (url.pathname === "/elpris/2026/10-19_SE3.json") return { body: fixture("elprisetjustnu-2026-10-19_SE3.json") };
+    if (url.pathname === "/nordpool" && url.searchParams.get("date") === "2026-10-19") return { body: fixture("nordpool-2026-10-19_SE3.json") };
+    if (url.pathname === "/nordpool") return { status: 204 };
+    if (url.pathname === "/entsoe") return { type: "text/xml", body: fixture("entsoe-2026-10-19_SE3.xml") };
+    if (url.pathname === "/tibber" && req.method === "POST") return { body: fixture("tibber-priceinfo.json") };
+    return null;
+  });
+});
+test.after(() => stub.close());
+
+// Sammanhängande, unika slottar som täcker hela det lokala dygnet
+function assertCoversDay(slots, step_min) {
+  assert.equal(new Date(slots[0].start).toISOString(), DAY_START);
+  const starts = slots.map(p => new Date(p.start).getTime());
+  assert.equal(new Set(starts).size, slots.length, "dubblerade slottar");
+  for (let i = 0; i < slots.length; i++) {
+    assert.equal(new Date(slots[i].end) - new Date(slots[i].start), step_min * 60000);
+    if (i > 0) assert.equal(starts[i], new Date(slots[i - 1].end).getTime());
+    assert.ok(Number.isFinite(slots[i].spot_SEK));
+  }
+  assert.equal(new Date(slots[slots.length - 1].end).toISOString(), DAY_END);
+}
+
+test("elprisetjustnu: 96 kvartspriser i SEK/kWh", async () => {
+  const slots = await battery.PRICE_PROVIDERS.elprisetjustnu(DAY, "SE3", { baseUrl: `${stub.url}/elpris` });
+  assert.equal(slots.length, 96);
+  assertCoversDay(slots, 15);
+  const raw = JSON.parse(fixture("elprisetjustnu-2026-10-19_SE3.json"));
+  assert.equal(slots[10].spot_SEK, raw[10].SEK_per_kWh);
+});
+
+test("Nord Pool: SEK/MWh → SEK/kWh, 204 = ej publicerat", async () => {
+  const cfg = { baseUrl: `${stub.url}/nordpool`, currency: "SEK" };
+  const slots = await battery.PRICE_PROVIDERS.nordpool(DAY, "SE3", cfg);
+  assert.equal(slots.length, 96);
+  assertCoversDay(slots, 15);
+  const raw = JSON.parse(fixture("nordpool-2026-10-19_SE3.json"));
+  assert.ok(Math.abs(slots[40].spot_SEK - raw.multiAreaEntries[40].entryPerArea.SE3 / 1000) < 1e-9);
+  const req = stub.requests.find(r => r.url.pathname === "/nordpool");
+  assert.equal(req.url.searchParams.get("deliveryArea"), "SE3");
+  assert.equal(req.url.searchParams.get("market"), "DayAhead");
+  assert.deepEqual(await battery.PRICE_PROVIDERS.nordpool(new Date("2026-10-20T10:00:00Z"), "SE3", cfg), []);
+});
+
+test("ENTSO-E: PT15M och PT60M i samma dokument ger en slot per kvart (finaste upplösningen)", async () => {
+  const slots = await battery.PRICE_PROVIDERS.entsoe(DAY, "SE3", { baseUrl: `${stub.url}/entsoe`, securityToken: "test-token" });
+  assert.equal(slots.length, 96);
+  assertCoversDay(slots, 15);
+  // A03: utelämnade positioner (oförändrat pris) fylls med föregående punkt
+  assert.equal(slots[9].spot_SEK, slots[8].spot_SEK);
+  assert.equal(slots[10].spot_SEK, slots[8].spot_SEK);
+  const elpris = JSON.parse(fixture("elprisetjustnu-2026-10-19_SE3.json"));
+  assert.ok(Math.abs(slots[50].spot_SEK - elpris[50].SEK_per_kWh) < 0.001);
+  const req = stub.requests.find(r => r.url.pathname === "/entsoe");
+  assert.equal(req.url.searchParams.get("securityToken"), "test-token");
+  assert.equal(req.url.searchParams.get("in_Domain"), "10Y1001A1001A46L");
+  assert.equal(req.url.searchParams.get("periodStart"), "202610182200");
+  assert.equal(req.url.searchParams.get("periodEnd"), "202610192200");
+});
+
+test("ENTSO-E: serie med grövre upplösning fyller bara luckor", () => {
+  // PT15M-serien kortas till 22:00–12:00; PT60M täcker hela dygnet
+  const xml = fixture("entsoe-2026-10-19_SE3.xml").replace("<end>2026-10-19T22:00Z</end>\n      </timeInterval>\n      <resolution>PT15M", "<end>2026-10-19T12:00Z</end>\n      </timeInterval>\n      <resolution>PT15M");
+  const points = battery.parseEntsoeXml(xml);
+  const quarters = points.filter(p => new Date(p.end) - new Date(p.start) === 900000);
+  const hours = points.filter(p => new Date(p.end) - new Date(p.start) === 3600000);
+  assert.equal(quarters.length, 56); // 22:00–12:00
+  assert.equal(hours.length, 10);    // 12:00–22:00 från PT60M
+  assert.equal(hours[0].start, "2026-10-19T12:00:00.000Z");
+  assert.equal(new Set(points.map(p => p.start)).size, points.length);
+});
+
+test("Tibber: POST med token, timpriser för rätt lokalt dygn", async () => {
+  const slots = await battery.PRICE_PROVIDERS.tibber(DAY, "SE3", { baseUrl: `${stub.url}/tibber`, token: "tibber-token" });
+  assert.equal(slots.length, 24);
+  assertCoversDay(slots, 60);
+  const req = stub.requests.find(r => r.url.pathname === "/tibber");
+  assert.equal(req.headers.authorization, "Bearer tibber-token");
+  assert.match(JSON.parse(req.body).query, /priceInfo/);
+  const raw = JSON.parse(fixture("tibber-priceinfo.json")).data.viewer.homes[0].currentSubscription.priceInfo.today;
+  assert.equal(slots[5].spot_SEK, raw[5].energy);
+});
+
+test("felsvar från leverantören blir fel (failover till nästa)", async () => {
+  await assert.rejects(battery.PRICE_PROVIDERS.elprisetjustnu(new Date("2026-10-22T10:00:00Z"), "SE3", { baseUrl: `${stub.url}/elpris` }), /404/);
+});
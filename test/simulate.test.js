@@ -0,0 +1,55 @@
+// Backtest: simuleringens konfig gäller från första steget och den tidigare konfigen återställs efteråt
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { battery, configure } = require("./helpers");
+
+const DAY_START = Date.parse("2026-10-18T22:00:00Z"); // 2026-10-19 00:00 lokal tid
+
+function flatDay(spot_SEK) {
+  return Array.from({ length: 24 }, (_, i) => ({
+    start: new Date(DAY_START + i * 3600000).toISOString(),
+    end: new Date(DAY_START + (i + 1) * 3600000).toISOString(),
+    spot_SEK,
+  }));
+}
+
+test("första steget prissätts med simuleringens konfig, inte den föregående", async () => {
+  await configure({ tariff: { model: "flat" }, import_extra: 0, peakTariff: { enabled: true, fromHour: 7, toHour: 20 } });
+  const report = await battery.simulate({
+    priceDays: battery.groupRecordedPrices(flatDay(1)),
+    flows: [
+      { time: "2026-10-19T08:00:00Z", producing_W: 0, local_flow_W: 1000 },
+      { time: "2026-10-19T09:00:00Z", producing_W: 0, local_flow_W: 1000 },
+    ],
+    config: { tariff: { model: "flat" }, import_extra: 10, peakTariff: { enabled: true, fromHour: 0, toHour: 24 } },
+  });
+  assert.equal(report.steps, 2);
+  assert.equal(report.baselineImport_kWh, 2);
+  assert.equal(report.baselineCost_SEK, 22); // 2 kWh × (1 + 10)
+
+  // Tidigare konfig tillbaka: avgiftsfönstret är åter 07–20
+  assert.equal(battery.inPeakWindow("2026-10-19T01:00:00Z"), false);
+  assert.equal(battery.inPeakWindow("2026-10-19T08:00:00Z"), true);
+});
+
+test("ogiltig simuleringskonfig avvisas innan något ändras", async () => {
+  await configure({ peakTariff: { enabled: true, fromHour: 7, toHour: 20 } });
+  await assert.rejects(battery.simulate({ priceDays: {}, flows: [], config: { peakTariff: { fromHour: 30 } } }), /Ogiltig konfig/);
+  assert.equal(battery.inPeakWindow("2026-10-19T08:00:00Z"), true);
+});
+
+test("flotta: ett flöde/SoC-par per enhet, börvärdet följs per enhet", async () => {
+  await configure();
+  const prices = flatDay(1).map((p, i) => ({ ...p, spot_SEK: i < 5 ? 0.1 : i >= 17 && i < 21 ? 4 : 1 }));
+  const flows = Array.from({ length: 24 }, (_, i) => ({ time: new Date(DAY_START + i * 3600000).toISOString(), producing_W: 0, local_flow_W: 1500 }));
+  const report = await battery.simulate({
+    priceDays: battery.groupRecordedPrices(prices),
+    flows,
+    config: { batteries: [{ id: "a", capacity_kWh: 10 }, { id: "b", capacity_kWh: 5, roundTripEff: 0.88 }] },
+  });
+  assert.equal(report.steps, 24);
+  assert.ok(report.charged_kWh > 0 && report.discharged_kWh > 0);
+  assert.deepEqual(Object.keys(report.unitEndSoc), ["a", "b"]);
+  const weighted = (report.unitEndSoc.a * 10 + report.unitEndSoc.b * 5) / 15;
+  assert.ok(Math.abs(weighted - report.endSoc) < 0.002);
+});